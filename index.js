@@ -6,18 +6,29 @@ const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const { exec } = require('child_process');
+const { PassThrough } = require('stream');
 
 const NBA_API_URL = 'https://cdn.nba.com/static/json/liveData/scoreboard/todaysScoreboard_00.json';
+const NBA_SCHEDULE_URL = 'https://cdn.nba.com/static/json/staticData/scheduleLeagueV2.json';
 const BOXSCORE_URL = 'https://cdn.nba.com/static/json/liveData/boxscore/boxscore_GAMEID.json';
 const PLAYBYPLAY_URL = 'https://cdn.nba.com/static/json/liveData/playbyplay/playbyplay_GAMEID.json';
 const ESPN_STANDINGS_URL = 'https://site.api.espn.com/apis/v2/sports/basketball/nba/standings';
 const ESPN_TRANSACTIONS_BASE_URL = 'https://site.api.espn.com/apis/site/v2/sports/basketball/nba/transactions';
+const ESPN_INJURIES_URL = 'https://site.api.espn.com/apis/site/v2/sports/basketball/nba/injuries';
 const ESPN_PLAYER_SEARCH_URL = 'https://site.web.api.espn.com/apis/common/v3/search?type=player&sport=basketball&league=nba&limit=10&query=';
 const SUBSCRIPTIONS_FILE = path.join(os.homedir(), '.nba-score-tui-subscriptions.json');
+const PREFERENCES_FILE = path.join(os.homedir(), '.nba-score-tui-preferences.json');
+const STANDINGS_HISTORY_FILE = path.join(os.homedir(), '.nba-score-tui-standings-history.json');
+const NOTIFICATIONS_FILE = path.join(os.homedir(), '.nba-score-tui-notifications.json');
+const NOTIFICATION_HISTORY_LIMIT = 100;
 const REFRESH_INTERVAL = 5000;
 const STANDINGS_REFRESH_INTERVAL = 60000;
 const NEWS_REFRESH_INTERVAL = 60000;
 const UPDATE_CHECK_INTERVAL = 3600000; // Check for updates every hour
+const SCHEDULE_CACHE_TTL = 600000; // Re-download the season schedule at most every 10 minutes
+const INJURIES_CACHE_TTL = 300000; // Re-download the league injury report at most every 5 minutes
+const TRANSACTIONS_PAGE_SIZE = 100;
+const ALERT_TRANSACTIONS_DAYS = 7; // Days of transactions watched for alerts when the panel shows another window
 
 const TEAM_ABBR_MAP = {
   'GS': 'GSW',
@@ -41,6 +52,13 @@ function loadSubscriptions() {
   } catch (error) {
     subscribedPlayers = [];
   }
+
+  // Subscriptions from before subscribedAt existed only alert on transactions from now on
+  if (subscribedPlayers.some(p => !p.subscribedAt)) {
+    const now = new Date().toISOString();
+    subscribedPlayers.forEach(p => { p.subscribedAt = p.subscribedAt || now; });
+    saveSubscriptions();
+  }
 }
 
 function saveSubscriptions() {
@@ -53,7 +71,7 @@ function saveSubscriptions() {
 
 function addSubscription(player) {
   if (!subscribedPlayers.find(p => p.id === player.id)) {
-    subscribedPlayers.push(player);
+    subscribedPlayers.push({ ...player, subscribedAt: new Date().toISOString() });
     saveSubscriptions();
     return true;
   }
@@ -63,6 +81,9 @@ function addSubscription(player) {
 function removeSubscription(playerId) {
   const index = subscribedPlayers.findIndex(p => p.id === playerId);
   if (index !== -1) {
+    if (subscribedPlayers[index].gameAlerts) {
+      setTeamGameAlerts(subscribedPlayers[index], false);
+    }
     subscribedPlayers.splice(index, 1);
     saveSubscriptions();
     return true;
@@ -70,6 +91,191 @@ function removeSubscription(playerId) {
   return false;
 }
 
+function isTeamSubscription(subscription) {
+  return subscription.type === 'team';
+}
+
+function searchTeams(query) {
+  const q = (query || '').trim().toLowerCase();
+  if (q.length < 2) return [];
+  return Object.entries(TEAM_NAMES)
+    .filter(([abbr, name]) => abbr.toLowerCase() === normalizeTeamAbbr(q.toUpperCase()).toLowerCase() || name.toLowerCase().includes(q))
+    .map(([abbr, name]) => ({ type: 'team', id: `team:${abbr}`, teamAbbr: abbr, name, gameAlerts: false }));
+}
+
+// The team's own transactions, plus trades and signings that name it
+function transactionInvolvesTeam(tx, subscription) {
+  if (normalizeTeamAbbr(tx.team?.abbreviation || '') === subscription.teamAbbr) return true;
+  return mentionsTeamName(tx.description, subscription.name);
+}
+
+// Game start and final alerts for a subscribed team ride on its per-team alert overrides. The overrides
+// it changes are recorded (with what was there before) so turning it off leaves the user's own alone.
+function setTeamGameAlerts(subscription, enabled) {
+  subscription.gameAlerts = enabled;
+  const teamRules = { ...preferences.alerts.teams[subscription.teamAbbr] };
+  if (enabled) {
+    subscription.alertOverrides = {};
+    for (const ruleId of TEAM_GAME_ALERT_RULES) {
+      if (teamRules[ruleId]?.enabled) continue;
+      subscription.alertOverrides[ruleId] = teamRules[ruleId] || null;
+      teamRules[ruleId] = { ...teamRules[ruleId], enabled: true };
+    }
+  } else {
+    // Subscriptions from before alertOverrides was recorded only ever added { enabled: true }
+    const added = subscription.alertOverrides || Object.fromEntries(TEAM_GAME_ALERT_RULES
+      .filter(ruleId => JSON.stringify(teamRules[ruleId]) === '{"enabled":true}')
+      .map(ruleId => [ruleId, null]));
+    for (const [ruleId, previous] of Object.entries(added)) {
+      if (previous) {
+        teamRules[ruleId] = previous;
+      } else {
+        delete teamRules[ruleId];
+      }
+    }
+    delete subscription.alertOverrides;
+  }
+  if (Object.keys(teamRules).length > 0) {
+    preferences.alerts.teams[subscription.teamAbbr] = teamRules;
+  } else {
+    delete preferences.alerts.teams[subscription.teamAbbr];
+  }
+  savePreferences();
+  saveSubscriptions();
+}
+
+function loadNotificationHistory() {
+  try {
+    if (fs.existsSync(NOTIFICATIONS_FILE)) {
+      const data = JSON.parse(fs.readFileSync(NOTIFICATIONS_FILE, 'utf8'));
+      notificationHistory = { seen: {}, history: [], ...data };
+      // Entries from before team subscriptions named the player in `player`
+      notificationHistory.history = notificationHistory.history.map(({ player, ...entry }) => ({
+        ...entry,
+        subject: entry.subject ?? player ?? '',
+        team: entry.team ?? null
+      }));
+    }
+  } catch (error) {
+    notificationHistory = { seen: {}, history: [] };
+  }
+}
+
+function saveNotificationHistory() {
+  try {
+    fs.writeFileSync(NOTIFICATIONS_FILE, JSON.stringify(notificationHistory, null, 2));
+  } catch (error) {
+    // Ignore save errors
+  }
+}
+
+// Same transaction, same key, across refreshes and restarts: day, team and wording
+function getTransactionKey(tx) {
+  const date = (tx.date || '').split('T')[0];
+  const team = normalizeTeamAbbr(tx.team?.abbreviation || '');
+  return `${date}|${team}|${(tx.description || '').trim()}`;
+}
+
+function markTransactionSeen(key) {
+  notificationHistory.seen[key] = new Date().toISOString();
+}
+
+// Forget seen keys for transactions older than a year; they have left every transaction window
+function pruneSeenTransactions() {
+  const cutoff = new Date();
+  cutoff.setFullYear(cutoff.getFullYear() - 1);
+  const cutoffKey = formatDateKey(cutoff);
+  for (const key of Object.keys(notificationHistory.seen)) {
+    if (key.split('|')[0] < cutoffKey) delete notificationHistory.seen[key];
+  }
+}
+
+function markAllTransactionsSeen() {
+  for (const tx of tradeNewsData?.transactions || []) {
+    markTransactionSeen(getTransactionKey(tx));
+  }
+  notificationHistory.history.forEach(entry => { entry.read = true; });
+  saveNotificationHistory();
+  renderSubscriptionPanel();
+}
+
+function loadPreferences() {
+  try {
+    if (fs.existsSync(PREFERENCES_FILE)) {
+      const data = fs.readFileSync(PREFERENCES_FILE, 'utf8');
+      preferences = { ...preferences, ...JSON.parse(data) };
+      preferences.alerts = { rules: {}, teams: {}, ...preferences.alerts };
+      preferences.standings = { layout: 'conference', columns: [], ...preferences.standings };
+      preferences.transactions = { window: 'threeMonths', from: null, to: null, ...preferences.transactions };
+    }
+  } catch (error) {
+    // Keep defaults on a corrupt preferences file
+  }
+}
+
+function savePreferences() {
+  try {
+    fs.writeFileSync(PREFERENCES_FILE, JSON.stringify(preferences, null, 2));
+  } catch (error) {
+    // Ignore save errors
+  }
+}
+
+function loadStandingsHistory() {
+  try {
+    if (fs.existsSync(STANDINGS_HISTORY_FILE)) {
+      const data = JSON.parse(fs.readFileSync(STANDINGS_HISTORY_FILE, 'utf8'));
+      standingsHistory = { snapshots: {}, ...data };
+    }
+  } catch (error) {
+    standingsHistory = { snapshots: {} };
+  }
+}
+
+function saveStandingsHistory() {
+  try {
+    fs.writeFileSync(STANDINGS_HISTORY_FILE, JSON.stringify(standingsHistory));
+  } catch (error) {
+    // Ignore save errors
+  }
+}
+
+// Store today's seeds and records. Days where nothing changed (e.g. the offseason) aren't stored again.
+function recordStandingsSnapshot(seeds) {
+  const snapshot = {};
+  for (const team of seeds) {
+    snapshot[team.teamAbbr] = { conference: team.conference, seed: team.seed, wins: team.wins, losses: team.losses };
+  }
+  const date = todayDateKey();
+  const latest = Object.keys(standingsHistory.snapshots).sort().pop();
+  if (latest && JSON.stringify(standingsHistory.snapshots[latest]) === JSON.stringify(snapshot)) return;
+  standingsHistory.snapshots[date] = snapshot;
+  saveStandingsHistory();
+}
+
+// Seeds gained (positive) or lost since the most recent snapshot before today
+function getSeedMovement(teamAbbr, seed) {
+  const today = todayDateKey();
+  const previous = Object.keys(standingsHistory.snapshots).filter(date => date < today).sort().pop();
+  const before = previous && standingsHistory.snapshots[previous][teamAbbr];
+  return before ? before.seed - seed : 0;
+}
+
+function isFavoriteTeam(teamAbbr) {
+  return preferences.favoriteTeams.includes(normalizeTeamAbbr(teamAbbr));
+}
+
+function toggleFavoriteTeam(teamAbbr) {
+  const abbr = normalizeTeamAbbr(teamAbbr);
+  const index = preferences.favoriteTeams.indexOf(abbr);
+  if (index === -1) {
+    preferences.favoriteTeams.push(abbr);
+  } else {
+    preferences.favoriteTeams.splice(index, 1);
+  }
+  savePreferences();
+}
+
 async function searchPlayers(query) {
   if (!query || query.length < 2) return [];
   try {
@@ -79,38 +285,116 @@ async function searchPlayers(query) {
     return (data.items || []).map(item => ({
       id: item.id,
       name: item.displayName,
-      shortName: item.shortName
+      shortName: item.shortName,
+      team: item.subtitle || null // Team name, used to tell apart players who share a name
     }));
   } catch (error) {
     return [];
   }
 }
 
+// Lowercase without accents, so "Jokic" matches "Jokić"
+function normalizePlayerName(name) {
+  return (name || '').normalize('NFD').replace(/\p{M}/gu, '').replace(/’/g, "'").toLowerCase().trim();
+}
+
+// ESPN athlete IDs attached to a transaction, from athlete objects or athlete profile links
+function getTransactionAthleteIds(tx) {
+  const ids = [tx.athlete?.id, ...(tx.athletes || []).map(a => a.id || a.athlete?.id)];
+  for (const link of tx.links || []) {
+    const match = (link.href || '').match(/\/player\/.*\/id\/(\d+)/);
+    if (match) ids.push(match[1]);
+  }
+  return ids.filter(Boolean).map(String);
+}
+
+// The whole name, not part of a longer one: "LeBron James" doesn't match "LeBron James Jr."
+function mentionsPlayerName(text, name) {
+  const escaped = normalizePlayerName(name).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const pattern = new RegExp(`(?<![\\p{L}'.-])${escaped}(?![\\p{L}'-])(?!,? (?:jr|sr|ii|iii|iv)\\b)`, 'u');
+  return pattern.test(normalizePlayerName(text));
+}
+
+/**
+ * How a transaction matches a subscribed player: 'id' (athlete ID in the payload), 'name' (name and
+ * team agree), 'ambiguous' (the name matches but the team can't confirm it's the same player) or null.
+ */
+function transactionMentionsPlayer(tx, player, subscriptions = subscribedPlayers.filter(sub => !isTeamSubscription(sub))) {
+  const ids = getTransactionAthleteIds(tx);
+  if (ids.length > 0) return ids.includes(String(player.id)) ? 'id' : null;
+
+  const desc = tx.description || '';
+  const players = parseTransactionAssets(desc).players;
+  const named = players.length > 0
+    ? players.some(p => normalizePlayerName(p.name) === normalizePlayerName(player.name))
+    : mentionsPlayerName(desc, player.name);
+  if (!named) return null;
+
+  // The team on file is from subscribe time and goes stale when the player moves, so it only
+  // settles which of two subscribed namesakes this is: the one whose team posts the move or is named in it
+  const namesake = subscriptions.some(other => other.id !== player.id &&
+    normalizePlayerName(other.name) === normalizePlayerName(player.name));
+  if (!namesake) return 'name';
+  if (!player.team) return 'ambiguous';
+  const team = normalizePlayerName(player.team);
+  const teamMatches = normalizePlayerName(tx.team?.displayName) === team || normalizePlayerName(desc).includes(team);
+  return teamMatches ? 'name' : 'ambiguous';
+}
+
 function checkSubscribedPlayerTransactions(transactions) {
   if (!transactions || subscribedPlayers.length === 0) return;
+  let changed = false;
 
   for (const tx of transactions) {
     const desc = tx.description || '';
-    const txKey = `${tx.date}-${tx.team?.abbreviation}-${desc}`;
-
-    if (notifiedTransactions.has(txKey)) continue;
-
-    for (const player of subscribedPlayers) {
-      // Check if player name appears in transaction
-      const playerNames = [player.name, player.shortName].filter(Boolean);
-      for (const name of playerNames) {
-        if (desc.includes(name)) {
-          notifiedTransactions.add(txKey);
-          notifier.notify({
-            title: 'NBA Transaction Alert',
-            message: `${player.name}: ${desc}`,
-            sound: true
-          });
-          break;
-        }
-      }
+    const txKey = getTransactionKey(tx);
+
+    if (notificationHistory.seen[txKey]) continue;
+
+    const matches = subscribedPlayers
+      .map(sub => ({ sub, match: isTeamSubscription(sub) ? (transactionInvolvesTeam(tx, sub) ? 'team' : null) : transactionMentionsPlayer(tx, sub) }))
+      .filter(m => m.match);
+    if (matches.length === 0) continue;
+
+    markTransactionSeen(txKey);
+    changed = true;
+
+    // The feed only has the day of a transaction, so anything dated before the subscription day stays quiet.
+    // Every confirmed subscription gets an entry (a trade can move two watched players); possible
+    // namesakes only when nothing is confirmed.
+    const eligible = matches.filter(m => txKey.split('|')[0] >= formatDateKey(new Date(m.sub.subscribedAt)));
+    const confirmed = eligible.filter(m => m.match !== 'ambiguous');
+    const recorded = confirmed.length > 0 ? confirmed : eligible;
+    if (recorded.length === 0) continue;
+
+    for (const { sub, match } of [...recorded].reverse()) {
+      notificationHistory.history.unshift({
+        key: txKey,
+        subject: sub.name,
+        team: isTeamSubscription(sub) ? sub.teamAbbr : null,
+        teamAbbr: normalizeTeamAbbr(tx.team?.abbreviation || ''),
+        description: desc,
+        notifiedAt: new Date().toISOString(),
+        read: false,
+        ambiguous: match === 'ambiguous'
+      });
+    }
+
+    // Possible namesakes go to the history only; a desktop alert has to be the right player
+    if (confirmed.length > 0) {
+      notifier.notify({
+        title: 'NBA Transaction Alert',
+        message: `${confirmed.map(m => m.sub.name).join(', ')}: ${desc}`,
+        sound: true
+      });
     }
   }
+
+  if (changed) {
+    notificationHistory.history = notificationHistory.history.slice(0, NOTIFICATION_HISTORY_LIMIT);
+    pruneSeenTransactions();
+    saveNotificationHistory();
+  }
 }
 
 function execPromise(command, options = {}) {
@@ -189,17 +473,146 @@ function formatWinPct(value) {
   return n.toFixed(3).slice(1);
 }
 
+// Season end year for a date: the NBA year rolls over in July
+function guessSeasonYear(date = new Date()) {
+  return date.getMonth() >= 6 ? date.getFullYear() + 1 : date.getFullYear();
+}
+
+function formatSeasonLabel(year) {
+  return `${year - 1}-${String(year).slice(2)}`;
+}
+
+function getSeasonYear() {
+  return selectedSeason || currentSeasonYear || guessSeasonYear();
+}
+
+// Season end year reported by an ESPN standings or transactions payload
+function getPayloadSeasonYear(data) {
+  const year = data?.season?.year || data?.seasons?.[0]?.year || data?.children?.[0]?.standings?.season;
+  return toNumber(year, 0) || null;
+}
+
+function formatDateKey(d) {
+  const year = d.getFullYear();
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+// Shift a 'YYYY-MM-DD' key by a number of days (UTC math avoids DST surprises)
+function shiftDateKey(dateKey, days) {
+  const d = new Date(`${dateKey}T12:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+}
+
+function todayDateKey() {
+  return liveScoreboardDate || formatDateKey(new Date());
+}
+
+function currentScoresDateKey() {
+  return scoresDate || todayDateKey();
+}
+
+// Parse user input from the Go to Date dialog. Returns a 'YYYY-MM-DD' key or null if invalid.
+function parseDateInput(input, baseKey) {
+  const value = (input || '').trim().toLowerCase();
+  if (!value) return null;
+  if (value === 'today') return todayDateKey();
+  if (value === 'yesterday') return shiftDateKey(todayDateKey(), -1);
+  if (value === 'tomorrow') return shiftDateKey(todayDateKey(), 1);
+
+  if (/^[+-]\d+$/.test(value)) {
+    return shiftDateKey(baseKey, parseInt(value));
+  }
+
+  let year, month, day;
+  const isoMatch = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  const usMatch = value.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?$/);
+  if (isoMatch) {
+    [year, month, day] = [isoMatch[1], isoMatch[2], isoMatch[3]].map(Number);
+  } else if (usMatch) {
+    month = Number(usMatch[1]);
+    day = Number(usMatch[2]);
+    year = usMatch[3] ? Number(usMatch[3].length === 2 ? `20${usMatch[3]}` : usMatch[3]) : Number(baseKey.slice(0, 4));
+  } else {
+    return null;
+  }
+
+  const key = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  const d = new Date(`${key}T12:00:00Z`);
+  if (isNaN(d.getTime()) || d.toISOString().split('T')[0] !== key) return null;
+  return key;
+}
+
 let currentGames = [];
-let mainView = 'scores'; // 'scores', 'standings', or 'tradeNews'
+let mainView = 'scores'; // 'scores', 'standings', 'tradeNews', or 'playoffs'
 let detailView = null; // null or gameId when viewing game details
-let detailFocus = 'boxScore'; // 'gameFlow' or 'boxScore'
+let multiView = false; // true while the multi-game split screen is open
+let multiGames = []; // Scoreboard games picked for the split screen, in tile order
+let multiData = new Map(); // gameId -> { boxScore, playByPlay } for the split screen tiles
+let multiFocus = 0; // Index of the highlighted tile
+let scoresDate = null; // null for today's live scoreboard, or 'YYYY-MM-DD' for another date
+let scheduleCache = null; // { fetchedAt, data } for the full season schedule
+let injuriesCache = null; // { fetchedAt, data } for the league injury report
+let liveScoreboardDate = null; // gameDate reported by the live scoreboard
+let datePromptVisible = false;
+let favoritesVisible = false;
+let detailFocus = 'boxScore'; // One of DETAIL_SECTIONS
+let detailLowerSection = 'boxScore'; // Section shown in the lower half of the detail view
+let detailData = null; // { game, boxScore, playByPlay } for the open detail view
+let pbpFilters = { period: null, team: null, player: '', type: null }; // Play-by-play browser filters
+let pbpPeriodLines = new Map(); // period -> line where that period starts in the play-by-play box
+let shotChartTeam = 'away'; // 'away' or 'home'
+let gameFlowZoom = null; // null for the whole game, or a period number to zoom the chart into
+let lineupsSort = 'minutes'; // 'minutes' or 'plusMinus'
+let boxScoreSort = { column: null, desc: true }; // column is a BOX_SCORE_COLUMNS id, null for feed order
+let boxScoreSelected = null; // personId of the highlighted box score row
+let boxScoreRows = []; // Selectable rows from the last box score render
+let playerPanelVisible = false;
+let shotChartPlayer = null; // personId to filter the shot chart, or null for the whole team
 let scoresData = null;
 let standingsData = null;
+let selectedSeason = null; // null for the current season, or a season end year (2025 = 2024-25)
+let currentSeasonYear = null; // End year of the current season, as reported by ESPN
+let standingsGames = []; // Completed regular-season games, for tiebreakers
+let postseasonGames = []; // Play-in and playoff games from the season schedule
+let standingsHistory = { snapshots: {} }; // date -> team -> { conference, seed, wins, losses }
+let historyPanelVisible = false;
+let historyTeam = null; // Team shown in the standings history panel
 let tradeNewsData = null;
-let subscribedPlayers = []; // Array of {id, name}
-let notifiedTransactions = new Set(); // Track notified transactions to avoid duplicates
+let subscribedPlayers = []; // Players {id, name} and teams {type: 'team', id, teamAbbr, name, gameAlerts}
+let preferences = {
+  favoriteTeams: [], // Team tricodes, e.g. ['LAL', 'BOS']
+  alerts: {
+    rules: {}, // ruleId -> { enabled, threshold } overriding ALERT_RULES defaults
+    teams: {} // team tricode -> { ruleId -> { enabled, threshold } }
+  },
+  standings: {
+    layout: 'conference', // One of STANDINGS_LAYOUTS
+    columns: [] // Extra STANDINGS_COLUMNS ids
+  },
+  transactions: {
+    window: 'threeMonths', // One of TRANSACTION_WINDOWS
+    from: null, // 'YYYY-MM-DD' bounds of the custom window
+    to: null
+  }
+};
+let alertState = { fired: new Set(), maxLeads: new Map() }; // Game alert bookkeeping
+let lastAlertGames = null; // Previous live scoreboard games, for diffing
+let alertsVisible = false;
+let columnsVisible = false;
+let alertsScope = null; // null for all teams, or a team tricode
+let notificationHistory = { seen: {}, history: [] }; // Transaction keys already handled, and the alerts sent
 let searchResults = []; // Current player search results
 let transactionsFocusLeft = true; // Track which panel is focused
+let transactionsFilters = { team: '', type: null, text: '' }; // Transactions panel filters
+let transactionsInputMode = 'text'; // Which filter the transactions input edits: 'team', 'text' or 'range'
+let transactionsPaging = { windowKey: null, before: null, page: 0, loading: false, done: false }; // Older pages loaded so far, by date cursor
+let expandedTrades = new Set(); // Keys of trade cards showing each side of the deal
+let selectedTradeCard = null; // Key of the highlighted trade card
+let tradeCardKeys = []; // Trade cards in display order, from the last render
+let tradeCardLines = new Map(); // trade key -> line of its card in the transactions panel
 let updateAvailable = false; // Track if update is available
 let appDirectory = __dirname; // App installation directory
 
@@ -212,9 +625,149 @@ const TEAM_COLORS = {
   'SAC': '#8E47CC', 'SAS': '#E6E9ED', 'TOR': '#FF2D55', 'UTA': '#004799', 'WAS': '#004799'
 };
 
+const TEAM_DIVISIONS = {
+  'BOS': 'Atlantic', 'BKN': 'Atlantic', 'NYK': 'Atlantic', 'PHI': 'Atlantic', 'TOR': 'Atlantic',
+  'CHI': 'Central', 'CLE': 'Central', 'DET': 'Central', 'IND': 'Central', 'MIL': 'Central',
+  'ATL': 'Southeast', 'CHA': 'Southeast', 'MIA': 'Southeast', 'ORL': 'Southeast', 'WAS': 'Southeast',
+  'DEN': 'Northwest', 'MIN': 'Northwest', 'OKC': 'Northwest', 'POR': 'Northwest', 'UTA': 'Northwest',
+  'GSW': 'Pacific', 'LAC': 'Pacific', 'LAL': 'Pacific', 'PHX': 'Pacific', 'SAC': 'Pacific',
+  'DAL': 'Southwest', 'HOU': 'Southwest', 'MEM': 'Southwest', 'NOP': 'Southwest', 'SAS': 'Southwest'
+};
+
+const TEAM_NAMES = {
+  'ATL': 'Atlanta Hawks', 'BOS': 'Boston Celtics', 'BKN': 'Brooklyn Nets', 'CHA': 'Charlotte Hornets',
+  'CHI': 'Chicago Bulls', 'CLE': 'Cleveland Cavaliers', 'DAL': 'Dallas Mavericks', 'DEN': 'Denver Nuggets',
+  'DET': 'Detroit Pistons', 'GSW': 'Golden State Warriors', 'HOU': 'Houston Rockets', 'IND': 'Indiana Pacers',
+  'LAC': 'LA Clippers', 'LAL': 'Los Angeles Lakers', 'MEM': 'Memphis Grizzlies', 'MIA': 'Miami Heat',
+  'MIL': 'Milwaukee Bucks', 'MIN': 'Minnesota Timberwolves', 'NOP': 'New Orleans Pelicans', 'NYK': 'New York Knicks',
+  'OKC': 'Oklahoma City Thunder', 'ORL': 'Orlando Magic', 'PHI': 'Philadelphia 76ers', 'PHX': 'Phoenix Suns',
+  'POR': 'Portland Trail Blazers', 'SAC': 'Sacramento Kings', 'SAS': 'San Antonio Spurs', 'TOR': 'Toronto Raptors',
+  'UTA': 'Utah Jazz', 'WAS': 'Washington Wizards'
+};
+
+// Alert rules a team subscription can switch on for that team's games
+const TEAM_GAME_ALERT_RULES = ['tipOff', 'final'];
+
+const STANDINGS_LAYOUTS = [
+  { id: 'conference', name: 'By Conference' },
+  { id: 'division', name: 'By Division' },
+  { id: 'league', name: 'League' }
+];
+
+const DIVISION_ORDER = {
+  East: ['Atlantic', 'Central', 'Southeast'],
+  West: ['Northwest', 'Pacific', 'Southwest']
+};
+
+// Optional standings columns, read from the ESPN entry stats by stat name or record type
+const STANDINGS_COLUMNS = [
+  { id: 'home', name: 'HOME', description: 'Home record', width: 7, stats: ['home', 'Home'] },
+  { id: 'away', name: 'AWAY', description: 'Road record', width: 7, stats: ['road', 'Road'] },
+  { id: 'lastTen', name: 'L10', description: 'Last 10 games', width: 6, stats: ['lasttengames', 'Last Ten Games'] },
+  { id: 'streak', name: 'STRK', description: 'Current streak', width: 6, stats: ['streak'] },
+  { id: 'pointsFor', name: 'PF', description: 'Points for per game', width: 7, stats: ['avgPointsFor'] },
+  { id: 'pointsAgainst', name: 'PA', description: 'Points against per game', width: 7, stats: ['avgPointsAgainst'] },
+  { id: 'differential', name: 'DIFF', description: 'Point differential per game', width: 7, stats: ['differential'] },
+  { id: 'magicPlayoff', name: 'MN-PO', description: 'Magic number, top 6', width: 7, value: team => formatMagicNumber(team.clinch, 'playoff') },
+  { id: 'magicPlayIn', name: 'MN-PI', description: 'Magic number, play-in', width: 7, value: team => formatMagicNumber(team.clinch, 'playIn') },
+  { id: 'magicTopSeed', name: 'MN-1', description: 'Magic number, top seed', width: 6, value: team => formatMagicNumber(team.clinch, 'topSeed') },
+  { id: 'elimination', name: 'ELIM', description: 'Elimination number', width: 6, value: team => team.clinch ? (team.clinch.elimination === 0 ? 'E' : String(team.clinch.elimination)) : '-' }
+];
+
+const SEASON_GAMES = 82;
+
+// Standings markers, strongest first, as in the official tables
+const CLINCH_MARKERS = [
+  { id: 'z', description: 'clinched top seed', test: clinch => clinch.magic.topSeed === 0 },
+  { id: 'y', description: 'clinched division', test: clinch => clinch.magic.division === 0 },
+  { id: 'x', description: 'clinched playoffs', test: clinch => clinch.magic.playoff === 0 },
+  { id: 'pi', description: 'clinched play-in', test: clinch => clinch.magic.playIn === 0 },
+  { id: 'o', description: 'eliminated', test: clinch => clinch.elimination === 0 }
+];
+
+const CLUTCH_MINUTES = 5; // "Last 5 minutes" window for close-game alerts
+
+// Game alert rules. `check` returns a message (and optional key suffix) when the rule fires.
+const ALERT_RULES = [
+  {
+    id: 'closeGame',
+    name: 'Close game',
+    thresholdLabel: 'margin ≤',
+    defaults: { enabled: true, threshold: 5 },
+    check(prev, game, threshold) {
+      if (game.gameStatus !== 2 || game.period < 4) return null;
+      const { minutes, seconds } = parseGameClock(game.gameClock);
+      const secondsLeft = minutes * 60 + seconds;
+      if (secondsLeft === 0 || secondsLeft > CLUTCH_MINUTES * 60) return null;
+      const margin = Math.abs(game.homeTeam.score - game.awayTeam.score);
+      if (margin > threshold) return null;
+      return { key: game.period, message: margin === 0 ? 'Tied in crunch time' : `${margin}-point game in crunch time` };
+    }
+  },
+  {
+    id: 'overtime',
+    name: 'Going to overtime',
+    defaults: { enabled: true },
+    check(prev, game) {
+      if (game.gameStatus !== 2) return null;
+      const { minutes, seconds } = parseGameClock(game.gameClock);
+      const periodOver = minutes === 0 && seconds === 0;
+      const tied = game.homeTeam.score === game.awayTeam.score;
+      // Tied at the horn of Q4 or an OT, or already into a new OT period
+      let otPeriod = null;
+      if (game.period >= 4 && periodOver && tied) {
+        otPeriod = game.period + 1;
+      } else if (game.period > 4 && prev && prev.period < game.period) {
+        otPeriod = game.period;
+      }
+      if (!otPeriod) return null;
+      return { key: otPeriod, message: `Heading to OT${otPeriod - 4}` };
+    }
+  },
+  {
+    id: 'final',
+    name: 'Final score',
+    defaults: { enabled: true },
+    check(prev, game) {
+      if (!prev || prev.gameStatus === 3 || game.gameStatus !== 3) return null;
+      const diff = game.homeTeam.score - game.awayTeam.score;
+      const winner = diff > 0 ? game.homeTeam.teamTricode : game.awayTeam.teamTricode;
+      return { key: '', message: `${winner} wins by ${Math.abs(diff)}` };
+    }
+  },
+  {
+    id: 'comeback',
+    name: 'Big comeback',
+    thresholdLabel: 'deficit ≥',
+    defaults: { enabled: true, threshold: 15 },
+    check(prev, game, threshold, maxLeads) {
+      if (game.gameStatus !== 2 || !maxLeads) return null;
+      const diff = game.homeTeam.score - game.awayTeam.score;
+      if (diff > 0 && maxLeads.away >= threshold) {
+        return { key: game.homeTeam.teamTricode, message: `${game.homeTeam.teamTricode} erased a ${maxLeads.away}-point deficit` };
+      }
+      if (diff < 0 && maxLeads.home >= threshold) {
+        return { key: game.awayTeam.teamTricode, message: `${game.awayTeam.teamTricode} erased a ${maxLeads.home}-point deficit` };
+      }
+      return null;
+    }
+  },
+  {
+    id: 'tipOff',
+    name: 'Tip-off',
+    defaults: { enabled: false },
+    check(prev, game) {
+      if (!prev || prev.gameStatus !== 1 || game.gameStatus !== 2) return null;
+      return { key: '', message: 'Game started' };
+    }
+  }
+];
+
+// Required as a module (the tests), the screen gets detached streams so it neither draws nor holds stdin open
 const screen = blessed.screen({
   smartCSR: true,
-  title: 'NBA Scores'
+  title: 'NBA Scores',
+  ...(require.main === module ? {} : { input: new PassThrough(), output: new PassThrough() })
 });
 
 // Menu bar for switching views
@@ -290,6 +843,27 @@ const standingsContent = blessed.box({
   }
 });
 
+const playoffsContent = blessed.box({
+  top: 3,
+  left: 0,
+  width: '100%',
+  height: '100%-6',
+  keys: true,
+  vi: true,
+  mouse: true,
+  tags: true,
+  scrollable: true,
+  hidden: true,
+  scrollbar: {
+    ch: ' ',
+    style: { bg: 'yellow' }
+  },
+  style: {
+    fg: 'white',
+    bg: 'black'
+  }
+});
+
 // Transactions view - left panel (transactions list)
 const transactionsLeftPanel = blessed.box({
   top: 3,
@@ -317,6 +891,25 @@ const transactionsLeftPanel = blessed.box({
   }
 });
 
+const transactionsFilterInput = blessed.textbox({
+  bottom: 3,
+  left: 0,
+  width: '70%',
+  height: 3,
+  keys: true,
+  inputOnFocus: true,
+  hidden: true,
+  border: {
+    type: 'line'
+  },
+  label: ' Search transactions (empty to clear) ',
+  style: {
+    fg: 'white',
+    bg: 'black',
+    border: { fg: 'green' }
+  }
+});
+
 // Transactions view - right panel (subscriptions)
 const transactionsRightPanel = blessed.box({
   top: 3,
@@ -341,7 +934,7 @@ const subscribedList = blessed.list({
   top: 0,
   left: 0,
   width: '100%-2',
-  height: '50%-1',
+  height: '35%-1',
   keys: true,
   vi: true,
   mouse: true,
@@ -359,7 +952,7 @@ const subscribedList = blessed.list({
 
 // Search input
 const searchInput = blessed.textbox({
-  top: '50%',
+  top: '35%',
   left: 0,
   width: '100%-2',
   height: 3,
@@ -369,7 +962,7 @@ const searchInput = blessed.textbox({
   border: {
     type: 'line'
   },
-  label: ' Search Player (Enter to search) ',
+  label: ' Search Player or Team (Enter to search) ',
   style: {
     fg: 'white',
     bg: 'black',
@@ -379,10 +972,10 @@ const searchInput = blessed.textbox({
 
 // Search results dropdown
 const searchResultsList = blessed.list({
-  top: '50%+3',
+  top: '35%+3',
   left: 0,
   width: '100%-2',
-  height: '50%-4',
+  height: '30%-3',
   keys: true,
   vi: true,
   mouse: true,
@@ -398,9 +991,36 @@ const searchResultsList = blessed.list({
   }
 });
 
+// Notification history
+const notificationsList = blessed.list({
+  top: '65%',
+  left: 0,
+  width: '100%-2',
+  height: '35%-2',
+  keys: true,
+  vi: true,
+  mouse: true,
+  tags: true,
+  scrollable: true,
+  border: {
+    type: 'line'
+  },
+  label: ' Notifications ',
+  style: {
+    fg: 'white',
+    bg: 'black',
+    border: { fg: 'gray' },
+    selected: {
+      fg: 'black',
+      bg: 'cyan'
+    }
+  }
+});
+
 transactionsRightPanel.append(subscribedList);
 transactionsRightPanel.append(searchInput);
 transactionsRightPanel.append(searchResultsList);
+transactionsRightPanel.append(notificationsList);
 
 const footer = blessed.box({
   bottom: 0,
@@ -419,7 +1039,7 @@ const detailHeader = blessed.box({
   top: 0,
   left: 0,
   width: '100%',
-  height: 3,
+  height: 5,
   content: '',
   tags: true,
   hidden: true,
@@ -431,7 +1051,7 @@ const detailHeader = blessed.box({
 });
 
 const gameFlowBox = blessed.box({
-  top: 3,
+  top: 5,
   left: 0,
   width: '100%',
   height: '40%',
@@ -458,10 +1078,10 @@ const gameFlowBox = blessed.box({
 });
 
 const boxScoreBox = blessed.box({
-  top: '40%+3',
+  top: '40%+5',
   left: 0,
   width: '100%',
-  height: '60%-6',
+  height: '60%-8',
   tags: true,
   hidden: true,
   scrollable: true,
@@ -470,8 +1090,6 @@ const boxScoreBox = blessed.box({
     ch: '█',
     style: { bg: 'yellow' }
   },
-  keys: true,
-  vi: true,
   mouse: true,
   border: {
     type: 'line'
@@ -484,1087 +1102,4632 @@ const boxScoreBox = blessed.box({
   }
 });
 
-const detailFooter = blessed.box({
-  bottom: 0,
+const playByPlayBox = blessed.box({
+  top: '40%+5',
   left: 0,
   width: '100%',
-  height: 3,
-  tags: true,
-  hidden: true,
-  style: {
-    fg: 'white',
-    bg: 'gray'
-  }
-});
-
-// Quit confirmation dialog
-const confirmDialog = blessed.box({
-  top: 'center',
-  left: 'center',
-  width: 40,
-  height: 7,
+  height: '60%-8',
   tags: true,
   hidden: true,
+  scrollable: true,
+  alwaysScroll: true,
+  scrollbar: {
+    ch: '█',
+    style: { bg: 'yellow' }
+  },
+  keys: true,
+  vi: true,
+  mouse: true,
   border: {
     type: 'line'
   },
+  label: ' Play-by-Play ',
   style: {
     fg: 'white',
     bg: 'black',
-    border: { fg: 'yellow' }
+    border: { fg: 'cyan' }
   }
 });
 
-confirmDialog.setContent(`{center}Quit NBA Scores?{/center}\n\n{center}{green-fg}[Y/Q]{/green-fg} Yes    {red-fg}[N/Esc]{/red-fg} No{/center}`);
-
-// Update complete dialog
-const updateCompleteDialog = blessed.box({
-  top: 'center',
-  left: 'center',
-  width: 50,
-  height: 9,
+const shotChartBox = blessed.box({
+  top: '40%+5',
+  left: 0,
+  width: '100%',
+  height: '60%-8',
   tags: true,
   hidden: true,
+  scrollable: true,
+  alwaysScroll: true,
+  scrollbar: {
+    ch: '█',
+    style: { bg: 'yellow' }
+  },
+  keys: true,
+  vi: true,
+  mouse: true,
   border: {
     type: 'line'
   },
+  label: ' Shot Chart ',
   style: {
     fg: 'white',
     bg: 'black',
-    border: { fg: 'green' }
+    border: { fg: 'cyan' }
   }
 });
 
+const availabilityBox = blessed.box({
+  top: '40%+5',
+  left: 0,
+  width: '100%',
+  height: '60%-8',
+  tags: true,
+  hidden: true,
+  scrollable: true,
+  alwaysScroll: true,
+  scrollbar: {
+    ch: '█',
+    style: { bg: 'yellow' }
+  },
+  keys: true,
+  vi: true,
+  mouse: true,
+  border: {
+    type: 'line'
+  },
+  label: ' Availability ',
+  style: {
+    fg: 'white',
+    bg: 'black',
+    border: { fg: 'cyan' }
+  }
+});
+
+const lineupsBox = blessed.box({
+  top: '40%+5',
+  left: 0,
+  width: '100%',
+  height: '60%-8',
+  tags: true,
+  hidden: true,
+  scrollable: true,
+  alwaysScroll: true,
+  scrollbar: {
+    ch: '█',
+    style: { bg: 'yellow' }
+  },
+  keys: true,
+  vi: true,
+  mouse: true,
+  border: {
+    type: 'line'
+  },
+  label: ' Lineups ',
+  style: {
+    fg: 'white',
+    bg: 'black',
+    border: { fg: 'cyan' }
+  }
+});
+
+// Per-player drill-down from the box score
+const playerPanel = blessed.box({
+  top: 'center',
+  left: 'center',
+  width: '90%',
+  height: '90%',
+  tags: true,
+  hidden: true,
+  scrollable: true,
+  alwaysScroll: true,
+  keys: true,
+  vi: true,
+  mouse: true,
+  scrollbar: {
+    ch: '█',
+    style: { bg: 'yellow' }
+  },
+  border: {
+    type: 'line'
+  },
+  style: {
+    fg: 'white',
+    bg: 'black',
+    border: { fg: 'yellow' }
+  }
+});
+
+// Per-team standings history
+const historyPanel = blessed.box({
+  top: 'center',
+  left: 'center',
+  width: '90%',
+  height: '90%',
+  tags: true,
+  hidden: true,
+  scrollable: true,
+  alwaysScroll: true,
+  keys: true,
+  vi: true,
+  mouse: true,
+  scrollbar: {
+    ch: '█',
+    style: { bg: 'yellow' }
+  },
+  border: {
+    type: 'line'
+  },
+  style: {
+    fg: 'white',
+    bg: 'black',
+    border: { fg: 'yellow' }
+  }
+});
+
+// Multi-game split screen: up to four tiles laid out by layoutMultiTiles()
+const MULTI_MAX_GAMES = 4;
+const multiTiles = Array.from({ length: MULTI_MAX_GAMES }, () => blessed.box({
+  tags: true,
+  hidden: true,
+  border: {
+    type: 'line'
+  },
+  style: {
+    fg: 'white',
+    bg: 'black',
+    border: { fg: 'cyan' }
+  }
+}));
+
+const multiFooter = blessed.box({
+  bottom: 0,
+  left: 0,
+  width: '100%',
+  height: 1,
+  tags: true,
+  hidden: true,
+  content: '{center}Tab switch game | Enter details | m remove game | ESC/q back{/center}',
+  style: {
+    fg: 'white',
+    bg: 'blue'
+  }
+});
+
+// Player name filter for the play-by-play browser
+const pbpPlayerInput = blessed.textbox({
+  bottom: 3,
+  left: 0,
+  width: '100%',
+  height: 3,
+  keys: true,
+  inputOnFocus: true,
+  hidden: true,
+  border: {
+    type: 'line'
+  },
+  label: ' Filter by player (empty to clear) ',
+  style: {
+    fg: 'white',
+    bg: 'black',
+    border: { fg: 'green' }
+  }
+});
+
+const detailFooter = blessed.box({
+  bottom: 0,
+  left: 0,
+  width: '100%',
+  height: 3,
+  tags: true,
+  hidden: true,
+  style: {
+    fg: 'white',
+    bg: 'gray'
+  }
+});
+
+// Quit confirmation dialog
+const confirmDialog = blessed.box({
+  top: 'center',
+  left: 'center',
+  width: 40,
+  height: 7,
+  tags: true,
+  hidden: true,
+  border: {
+    type: 'line'
+  },
+  style: {
+    fg: 'white',
+    bg: 'black',
+    border: { fg: 'yellow' }
+  }
+});
+
+confirmDialog.setContent(`{center}Quit NBA Scores?{/center}\n\n{center}{green-fg}[Y/Q]{/green-fg} Yes    {red-fg}[N/Esc]{/red-fg} No{/center}`);
+
+// Update complete dialog
+const updateCompleteDialog = blessed.box({
+  top: 'center',
+  left: 'center',
+  width: 50,
+  height: 9,
+  tags: true,
+  hidden: true,
+  border: {
+    type: 'line'
+  },
+  style: {
+    fg: 'white',
+    bg: 'black',
+    border: { fg: 'green' }
+  }
+});
+
+// Favorite teams picker
+const favoritesDialog = blessed.list({
+  top: 'center',
+  left: 'center',
+  width: 36,
+  height: 20,
+  keys: true,
+  mouse: true,
+  tags: true,
+  hidden: true,
+  scrollable: true,
+  border: {
+    type: 'line'
+  },
+  label: ' Favorite Teams (Enter toggle, Esc close) ',
+  style: {
+    fg: 'white',
+    bg: 'black',
+    border: { fg: 'yellow' },
+    selected: {
+      fg: 'black',
+      bg: 'yellow'
+    }
+  }
+});
+
+const columnsDialog = blessed.list({
+  top: 'center',
+  left: 'center',
+  width: 44,
+  height: STANDINGS_COLUMNS.length + 2,
+  keys: true,
+  mouse: true,
+  tags: true,
+  hidden: true,
+  border: {
+    type: 'line'
+  },
+  label: ' Standings Columns (Enter toggle, Esc close) ',
+  style: {
+    fg: 'white',
+    bg: 'black',
+    border: { fg: 'yellow' },
+    selected: {
+      fg: 'black',
+      bg: 'yellow'
+    }
+  }
+});
+
+// Alert rules dialog
+const alertsDialog = blessed.box({
+  top: 'center',
+  left: 'center',
+  width: 60,
+  height: ALERT_RULES.length + 8,
+  tags: true,
+  hidden: true,
+  border: {
+    type: 'line'
+  },
+  label: ' Game Alerts ',
+  style: {
+    fg: 'white',
+    bg: 'black',
+    border: { fg: 'yellow' }
+  }
+});
+
+const alertsScopeLine = blessed.box({
+  top: 0,
+  left: 1,
+  width: '100%-4',
+  height: 1,
+  tags: true,
+  style: {
+    fg: 'white',
+    bg: 'black'
+  }
+});
+
+const alertsList = blessed.list({
+  top: 2,
+  left: 1,
+  width: '100%-4',
+  height: ALERT_RULES.length,
+  keys: true,
+  mouse: true,
+  tags: true,
+  style: {
+    fg: 'white',
+    bg: 'black',
+    selected: {
+      fg: 'black',
+      bg: 'yellow'
+    }
+  }
+});
+
+const alertsHint = blessed.box({
+  top: ALERT_RULES.length + 3,
+  left: 1,
+  width: '100%-4',
+  height: 2,
+  tags: true,
+  content: '{gray-fg}Enter toggle | +/- threshold | h/l scope | c clear team | Esc close{/gray-fg}',
+  style: {
+    fg: 'white',
+    bg: 'black'
+  }
+});
+
+alertsDialog.append(alertsScopeLine);
+alertsDialog.append(alertsList);
+alertsDialog.append(alertsHint);
+
+// Jump-to-date dialog (Scores view)
+const datePrompt = blessed.box({
+  top: 'center',
+  left: 'center',
+  width: 44,
+  height: 8,
+  tags: true,
+  hidden: true,
+  border: {
+    type: 'line'
+  },
+  label: ' Go to Date ',
+  style: {
+    fg: 'white',
+    bg: 'black',
+    border: { fg: 'yellow' }
+  }
+});
+
+const dateInput = blessed.textbox({
+  top: 1,
+  left: 1,
+  width: '100%-4',
+  height: 3,
+  keys: true,
+  inputOnFocus: true,
+  border: {
+    type: 'line'
+  },
+  style: {
+    fg: 'white',
+    bg: 'black',
+    border: { fg: 'green' }
+  }
+});
+
+const dateHint = blessed.box({
+  top: 4,
+  left: 1,
+  width: '100%-4',
+  height: 1,
+  tags: true,
+  content: '{gray-fg}YYYY-MM-DD, MM/DD, today, -1, +2{/gray-fg}',
+  style: {
+    fg: 'white',
+    bg: 'black'
+  }
+});
+
+datePrompt.append(dateInput);
+datePrompt.append(dateHint);
+
 updateCompleteDialog.setContent(`{center}{green-fg}Update Complete!{/green-fg}{/center}\n\n{center}Please restart the app to apply changes.{/center}\n\n{center}{green-fg}[R]{/green-fg} Restart    {yellow-fg}[L]{/yellow-fg} Later{/center}`);
 
-screen.append(menuBar);
-screen.append(header);
-screen.append(gameList);
-screen.append(standingsContent);
-screen.append(transactionsLeftPanel);
-screen.append(transactionsRightPanel);
-screen.append(footer);
-screen.append(detailHeader);
-screen.append(gameFlowBox);
-screen.append(boxScoreBox);
-screen.append(detailFooter);
-screen.append(confirmDialog);
-screen.append(updateCompleteDialog);
+screen.append(menuBar);
+screen.append(header);
+screen.append(gameList);
+screen.append(standingsContent);
+screen.append(playoffsContent);
+screen.append(transactionsLeftPanel);
+screen.append(transactionsRightPanel);
+screen.append(footer);
+screen.append(detailHeader);
+screen.append(gameFlowBox);
+screen.append(boxScoreBox);
+screen.append(playByPlayBox);
+screen.append(shotChartBox);
+screen.append(lineupsBox);
+screen.append(availabilityBox);
+multiTiles.forEach(tile => screen.append(tile));
+screen.append(multiFooter);
+screen.append(pbpPlayerInput);
+screen.append(transactionsFilterInput);
+screen.append(playerPanel);
+screen.append(detailFooter);
+screen.append(confirmDialog);
+screen.append(updateCompleteDialog);
+screen.append(datePrompt);
+screen.append(favoritesDialog);
+screen.append(columnsDialog);
+screen.append(historyPanel);
+screen.append(alertsDialog);
+
+let confirmVisible = false;
+let updateDialogVisible = false;
+
+function showConfirmDialog() {
+  confirmVisible = true;
+  confirmDialog.show();
+  confirmDialog.focus();
+  screen.render();
+}
+
+function hideConfirmDialog() {
+  confirmVisible = false;
+  confirmDialog.hide();
+  if (mainView === 'scores') {
+    gameList.focus();
+  } else if (mainView === 'standings') {
+    standingsContent.focus();
+  } else if (mainView === 'playoffs') {
+    playoffsContent.focus();
+  } else {
+    transactionsLeftPanel.focus();
+  }
+  screen.render();
+}
+
+function showUpdateCompleteDialog() {
+  updateDialogVisible = true;
+  updateCompleteDialog.show();
+  updateCompleteDialog.focus();
+  screen.render();
+}
+
+function hideUpdateCompleteDialog() {
+  updateDialogVisible = false;
+  updateCompleteDialog.hide();
+  if (mainView === 'scores') {
+    gameList.focus();
+  } else if (mainView === 'standings') {
+    standingsContent.focus();
+  } else if (mainView === 'playoffs') {
+    playoffsContent.focus();
+  } else {
+    transactionsLeftPanel.focus();
+  }
+  screen.render();
+}
+
+function showDatePrompt() {
+  datePromptVisible = true;
+  dateHint.setContent('{gray-fg}YYYY-MM-DD, MM/DD, today, -1, +2{/gray-fg}');
+  datePrompt.show();
+  dateInput.clearValue();
+  dateInput.focus();
+  screen.render();
+}
+
+function hideDatePrompt() {
+  datePromptVisible = false;
+  datePrompt.hide();
+  gameList.focus();
+  gameList.select(Math.max(2, gameList.selected)); // Skip header rows
+  screen.render();
+}
+
+function isDialogVisible() {
+  return confirmVisible || updateDialogVisible || datePromptVisible || favoritesVisible || alertsVisible || columnsVisible || playerPanelVisible || historyPanelVisible;
+}
+
+function renderFavoritesDialog() {
+  const teams = Object.keys(TEAM_COLORS).sort();
+  favoritesDialog.setItems(teams.map(abbr => (
+    isFavoriteTeam(abbr) ? `{yellow-fg}★{/yellow-fg} ${abbr}` : `  ${abbr}`
+  )));
+}
+
+function showFavoritesDialog() {
+  favoritesVisible = true;
+  renderFavoritesDialog();
+  favoritesDialog.show();
+  favoritesDialog.setFront();
+  favoritesDialog.focus();
+  screen.render();
+}
+
+function hideFavoritesDialog() {
+  if (!favoritesVisible) return;
+  favoritesVisible = false;
+  favoritesDialog.hide();
+  if (mainView === 'scores') {
+    gameList.focus();
+  } else if (mainView === 'standings') {
+    standingsContent.focus();
+  } else if (mainView === 'playoffs') {
+    playoffsContent.focus();
+  } else {
+    transactionsLeftPanel.focus();
+  }
+  screen.render();
+}
+
+function toggleSelectedFavorite() {
+  const teams = Object.keys(TEAM_COLORS).sort();
+  const abbr = teams[favoritesDialog.selected];
+  if (!abbr) return;
+  toggleFavoriteTeam(abbr);
+  renderFavoritesDialog();
+
+  // Refresh the view behind the dialog so pinning and markers update immediately
+  if (mainView === 'scores') {
+    renderScoresView();
+  } else if (mainView === 'standings') {
+    renderStandingsView();
+  } else if (mainView === 'playoffs') {
+    renderPlayoffsView();
+  } else {
+    renderTradeNewsView();
+  }
+  screen.render();
+}
+
+function renderColumnsDialog() {
+  const selected = preferences.standings.columns;
+  columnsDialog.setItems(STANDINGS_COLUMNS.map(column => {
+    const mark = selected.includes(column.id) ? '{green-fg}[x]{/green-fg}' : '[ ]';
+    return `${mark} ${column.name.padEnd(5)} {gray-fg}${column.description}{/gray-fg}`;
+  }));
+}
+
+function showColumnsDialog() {
+  columnsVisible = true;
+  renderColumnsDialog();
+  columnsDialog.show();
+  columnsDialog.setFront();
+  columnsDialog.focus();
+  screen.render();
+}
+
+function hideColumnsDialog() {
+  if (!columnsVisible) return;
+  columnsVisible = false;
+  columnsDialog.hide();
+  standingsContent.focus();
+  screen.render();
+}
+
+function toggleSelectedColumn() {
+  const column = STANDINGS_COLUMNS[columnsDialog.selected];
+  if (!column) return;
+  const columns = preferences.standings.columns;
+  preferences.standings.columns = columns.includes(column.id)
+    ? columns.filter(id => id !== column.id)
+    : STANDINGS_COLUMNS.filter(c => c.id === column.id || columns.includes(c.id)).map(c => c.id);
+  savePreferences();
+  renderColumnsDialog();
+  renderStandingsView();
+}
+
+function renderAlertsDialog() {
+  const scopeName = alertsScope || 'All teams';
+  const hasOverride = alertsScope && preferences.alerts.teams[alertsScope];
+  const scopeNote = alertsScope ? (hasOverride ? ' {yellow-fg}(custom){/yellow-fg}' : ' {gray-fg}(using global){/gray-fg}') : '';
+  alertsScopeLine.setContent(`Scope: {gray-fg}◀{/gray-fg} {bold}${scopeName}{/bold} {gray-fg}▶{/gray-fg}${scopeNote}`);
+
+  alertsList.setItems(ALERT_RULES.map(rule => {
+    const settings = getAlertSettings(rule.id, alertsScope) || getAlertSettings(rule.id);
+    const check = settings.enabled ? '{green-fg}[x]{/green-fg}' : '{gray-fg}[ ]{/gray-fg}';
+    const threshold = rule.thresholdLabel ? `${rule.thresholdLabel} ${settings.threshold}` : '';
+    return `${check} ${rule.name.padEnd(22)}${threshold}`;
+  }));
+}
+
+function showAlertsDialog() {
+  alertsVisible = true;
+  renderAlertsDialog();
+  alertsDialog.show();
+  alertsDialog.setFront();
+  alertsList.focus();
+  screen.render();
+}
+
+function hideAlertsDialog() {
+  if (!alertsVisible) return;
+  alertsVisible = false;
+  alertsDialog.hide();
+  if (mainView === 'scores') {
+    gameList.focus();
+  } else if (mainView === 'standings') {
+    standingsContent.focus();
+  } else if (mainView === 'playoffs') {
+    playoffsContent.focus();
+  } else {
+    transactionsLeftPanel.focus();
+  }
+  screen.render();
+}
+
+// Apply a change to the selected rule in the current scope (global or team override)
+function updateSelectedAlertRule(change) {
+  const rule = ALERT_RULES[alertsList.selected];
+  if (!rule) return;
+
+  const current = getAlertSettings(rule.id, alertsScope) || getAlertSettings(rule.id);
+  const updated = { ...current, ...change(current) };
+  if (alertsScope) {
+    const teamRules = preferences.alerts.teams[alertsScope] || {};
+    teamRules[rule.id] = updated;
+    preferences.alerts.teams[alertsScope] = teamRules;
+  } else {
+    preferences.alerts.rules[rule.id] = updated;
+  }
+  savePreferences();
+  renderAlertsDialog();
+  screen.render();
+}
+
+function shiftAlertsScope(step) {
+  const scopes = [null, ...Object.keys(TEAM_COLORS).sort()];
+  const index = scopes.indexOf(alertsScope);
+  alertsScope = scopes[(index + step + scopes.length) % scopes.length];
+  renderAlertsDialog();
+  screen.render();
+}
+
+// Confirm dialog key bindings
+confirmDialog.key(['y', 'Y', 'q', 'Q', 'enter'], () => {
+  process.exit(0);
+});
+
+confirmDialog.key(['n', 'N', 'escape'], () => {
+  hideConfirmDialog();
+});
+
+// Update complete dialog key bindings
+updateCompleteDialog.key(['r', 'R'], () => {
+  // Restart the app
+  const { spawn } = require('child_process');
+  spawn(process.argv[0], process.argv.slice(1), {
+    cwd: appDirectory,
+    detached: true,
+    stdio: 'inherit'
+  }).unref();
+  process.exit(0);
+});
+
+updateCompleteDialog.key(['l', 'L', 'escape'], () => {
+  hideUpdateCompleteDialog();
+});
+
+// Key bindings
+screen.key(['escape'], () => {
+  if (playerPanelVisible) {
+    hidePlayerPanel();
+  } else if (alertsVisible) {
+    hideAlertsDialog();
+  } else if (columnsVisible) {
+    hideColumnsDialog();
+  } else if (historyPanelVisible) {
+    hideHistoryPanel();
+  } else if (favoritesVisible) {
+    hideFavoritesDialog();
+  } else if (confirmVisible) {
+    hideConfirmDialog();
+  } else if (detailView) {
+    showListView();
+  } else if (multiView) {
+    hideMultiView();
+  }
+});
+
+screen.key(['q'], () => {
+  if (confirmVisible) return;
+  if (playerPanelVisible) {
+    hidePlayerPanel();
+    return;
+  }
+  if (favoritesVisible) {
+    hideFavoritesDialog();
+    return;
+  }
+  if (alertsVisible) {
+    hideAlertsDialog();
+    return;
+  }
+  if (columnsVisible) {
+    hideColumnsDialog();
+    return;
+  }
+  if (historyPanelVisible) {
+    hideHistoryPanel();
+    return;
+  }
+  if (detailView) {
+    showListView();
+  } else if (multiView) {
+    hideMultiView();
+  } else {
+    showConfirmDialog();
+  }
+});
+
+screen.key(['C-c'], () => {
+  process.exit(0);
+});
+
+// Update key binding
+screen.key(['u', 'U'], () => {
+  if (isDialogVisible() || detailView || multiView) return;
+  if (updateAvailable) {
+    performUpdate();
+  } else {
+    // Manual check for updates
+    checkForUpdates();
+  }
+});
+
+gameList.key(['space', 'enter'], () => {
+  const selectedIndex = gameList.selected;
+  const gameIndex = selectedIndex - 2; // Offset for header rows (header + separator)
+  if (gameIndex >= 0 && currentGames[gameIndex]) {
+    showDetailView(currentGames[gameIndex]);
+  }
+});
+
+// Pick games for the split screen
+gameList.key(['m'], () => {
+  if (isDialogVisible()) return;
+  const game = currentGames[gameList.selected - 2];
+  if (!game) return;
+  const index = multiGames.findIndex(g => g.gameId === game.gameId);
+  if (index >= 0) {
+    multiGames.splice(index, 1);
+  } else if (multiGames.length < MULTI_MAX_GAMES) {
+    multiGames.push(game);
+  }
+  renderScoresView();
+});
+
+gameList.key(['v'], () => {
+  if (isDialogVisible() || multiGames.length < 2) return;
+  showMultiView();
+});
+
+multiTiles.forEach((tile, index) => {
+  tile.key(['enter', 'space'], () => {
+    if (multiGames[index]) showDetailView(multiGames[index]);
+  });
+
+  tile.key(['m'], () => {
+    if (!multiGames[index]) return;
+    multiGames.splice(index, 1);
+    if (multiGames.length < 2) {
+      hideMultiView();
+    } else {
+      multiFocus = Math.min(multiFocus, multiGames.length - 1);
+      showMultiView();
+    }
+  });
+
+  tile.on('click', () => {
+    multiFocus = index;
+    updateMultiFocus();
+  });
+});
+
+// Favorite teams
+screen.key(['f'], () => {
+  if (detailView || multiView) return;
+  if (favoritesVisible) {
+    hideFavoritesDialog();
+  } else if (!isDialogVisible()) {
+    showFavoritesDialog();
+  }
+});
+
+favoritesDialog.on('select', () => {
+  toggleSelectedFavorite();
+});
+
+favoritesDialog.key(['space'], () => {
+  toggleSelectedFavorite();
+});
+
+favoritesDialog.key(['j'], () => {
+  favoritesDialog.down();
+  screen.render();
+});
+
+favoritesDialog.key(['k'], () => {
+  favoritesDialog.up();
+  screen.render();
+});
+
+// Game alert rules
+screen.key(['a'], () => {
+  if (detailView || multiView) return;
+  if (alertsVisible) {
+    hideAlertsDialog();
+  } else if (!isDialogVisible()) {
+    showAlertsDialog();
+  }
+});
+
+alertsList.on('select', () => {
+  updateSelectedAlertRule(current => ({ enabled: !current.enabled }));
+});
+
+alertsList.key(['space'], () => {
+  updateSelectedAlertRule(current => ({ enabled: !current.enabled }));
+});
+
+alertsList.key(['+', '='], () => {
+  if (!ALERT_RULES[alertsList.selected]?.thresholdLabel) return;
+  updateSelectedAlertRule(current => ({ threshold: current.threshold + 1 }));
+});
+
+alertsList.key(['-'], () => {
+  if (!ALERT_RULES[alertsList.selected]?.thresholdLabel) return;
+  updateSelectedAlertRule(current => ({ threshold: Math.max(1, current.threshold - 1) }));
+});
+
+alertsList.key(['h', 'left'], () => {
+  shiftAlertsScope(-1);
+});
+
+alertsList.key(['l', 'right'], () => {
+  shiftAlertsScope(1);
+});
+
+alertsList.key(['c'], () => {
+  if (!alertsScope) return;
+  delete preferences.alerts.teams[alertsScope];
+  savePreferences();
+  renderAlertsDialog();
+  screen.render();
+});
+
+alertsList.key(['j'], () => {
+  alertsList.down();
+  screen.render();
+});
+
+alertsList.key(['k'], () => {
+  alertsList.up();
+  screen.render();
+});
+
+// Standings layout and columns
+standingsContent.key(['v'], () => {
+  if (isDialogVisible()) return;
+  const layouts = STANDINGS_LAYOUTS.map(layout => layout.id);
+  const index = layouts.indexOf(preferences.standings.layout);
+  preferences.standings.layout = layouts[(index + 1) % layouts.length];
+  savePreferences();
+  standingsContent.scrollTo(0);
+  renderStandingsView();
+});
+
+standingsContent.key(['c'], () => {
+  if (isDialogVisible()) return;
+  showColumnsDialog();
+});
+
+standingsContent.key(['S-h'], () => {
+  if (isDialogVisible()) return;
+  showHistoryPanel();
+});
+
+historyPanel.key(['n', 'right', 'p', 'left'], (ch, key) => {
+  const teams = Object.keys(TEAM_COLORS).sort();
+  const step = key.name === 'n' || key.name === 'right' ? 1 : -1;
+  historyTeam = teams[(teams.indexOf(historyTeam) + step + teams.length) % teams.length];
+  renderHistoryPanel();
+  screen.render();
+});
+
+columnsDialog.on('select', () => {
+  toggleSelectedColumn();
+});
+
+columnsDialog.key(['space'], () => {
+  toggleSelectedColumn();
+});
+
+columnsDialog.key(['j'], () => {
+  columnsDialog.down();
+  screen.render();
+});
+
+columnsDialog.key(['k'], () => {
+  columnsDialog.up();
+  screen.render();
+});
+
+// Date navigation (Scores view), season navigation everywhere else
+screen.key(['['], () => {
+  if (isDialogVisible() || detailView || multiView) return;
+  if (mainView === 'scores') {
+    changeScoresDate(shiftDateKey(currentScoresDateKey(), -1));
+  } else {
+    changeSeason(getSeasonYear() - 1);
+  }
+});
+
+screen.key([']'], () => {
+  if (isDialogVisible() || detailView || multiView) return;
+  if (mainView === 'scores') {
+    changeScoresDate(shiftDateKey(currentScoresDateKey(), 1));
+  } else if (selectedSeason) {
+    changeSeason(selectedSeason + 1);
+  }
+});
+
+screen.key(['t'], () => {
+  if (isDialogVisible() || detailView || multiView) return;
+  if (mainView === 'scores') {
+    changeScoresDate(null);
+  } else if (selectedSeason) {
+    changeSeason(null);
+  }
+});
+
+screen.key(['g'], () => {
+  if (isDialogVisible() || detailView || multiView || mainView !== 'scores') return;
+  showDatePrompt();
+});
+
+dateInput.on('submit', (value) => {
+  const date = parseDateInput(value, currentScoresDateKey());
+  if (!date) {
+    dateHint.setContent(`{red-fg}Invalid date: ${value || '(empty)'}{/red-fg}`);
+    dateInput.clearValue();
+    dateInput.focus();
+    screen.render();
+    return;
+  }
+  hideDatePrompt();
+  changeScoresDate(date);
+});
+
+dateInput.on('cancel', () => {
+  hideDatePrompt();
+});
+
+boxScoreBox.key(['escape', 'q'], () => {
+  showListView();
+});
+
+playByPlayBox.key(['escape', 'q'], () => {
+  showListView();
+});
+
+// Zoom the flow chart into one period (z forward, Z back)
+gameFlowBox.key(['z', 'S-z'], (ch, key) => {
+  if (!detailData?.boxScore) return;
+  const periods = [null, ...getPlayByPlayPeriods()];
+  const step = key.shift ? -1 : 1;
+  gameFlowZoom = periods[(periods.indexOf(gameFlowZoom) + step + periods.length) % periods.length];
+  renderGameFlow(detailData.boxScore, detailData.playByPlay, detailData.game);
+  screen.render();
+});
+
+// Box score row selection, sorting and player drill-down
+boxScoreBox.key(['j', 'down'], () => {
+  moveBoxScoreSelection(1);
+});
+
+boxScoreBox.key(['k', 'up'], () => {
+  moveBoxScoreSelection(-1);
+});
+
+boxScoreBox.key(['g'], () => {
+  if (!detailData?.boxScore || boxScoreRows.length === 0) return;
+  boxScoreSelected = boxScoreRows[0].player.personId;
+  renderBoxScore(detailData.boxScore);
+  boxScoreBox.scrollTo(0);
+  screen.render();
+});
+
+boxScoreBox.key(['S-g'], () => {
+  if (!detailData?.boxScore || boxScoreRows.length === 0) return;
+  boxScoreSelected = boxScoreRows[boxScoreRows.length - 1].player.personId;
+  renderBoxScore(detailData.boxScore);
+  ensureBoxScoreSelectionVisible();
+  screen.render();
+});
+
+boxScoreBox.key(['s'], () => {
+  if (!detailData?.boxScore) return;
+  const columns = [null, ...BOX_SCORE_COLUMNS.map(c => c.id)];
+  boxScoreSort.column = columns[(columns.indexOf(boxScoreSort.column) + 1) % columns.length];
+  boxScoreSort.desc = true;
+  renderBoxScore(detailData.boxScore);
+  ensureBoxScoreSelectionVisible();
+  screen.render();
+});
+
+boxScoreBox.key(['S-s'], () => {
+  if (!detailData?.boxScore || !boxScoreSort.column) return;
+  boxScoreSort.desc = !boxScoreSort.desc;
+  renderBoxScore(detailData.boxScore);
+  ensureBoxScoreSelectionVisible();
+  screen.render();
+});
+
+boxScoreBox.key(['enter', 'space'], () => {
+  showPlayerPanel();
+});
+
+shotChartBox.key(['escape', 'q'], () => {
+  showListView();
+});
+
+lineupsBox.key(['escape', 'q'], () => {
+  showListView();
+});
+
+lineupsBox.on('click', () => {
+  if (detailFocus !== 'lineups') {
+    detailFocus = 'lineups';
+    updateDetailFocus();
+  }
+});
+
+availabilityBox.key(['escape', 'q'], () => {
+  showListView();
+});
+
+availabilityBox.on('click', () => {
+  if (detailFocus !== 'availability') {
+    detailFocus = 'availability';
+    updateDetailFocus();
+  }
+});
+
+lineupsBox.key(['s'], () => {
+  lineupsSort = lineupsSort === 'minutes' ? 'plusMinus' : 'minutes';
+  renderLineups();
+  screen.render();
+});
+
+gameFlowBox.key(['escape', 'q'], () => {
+  showListView();
+});
+
+// Click to focus sections
+gameFlowBox.on('click', () => {
+  if (detailFocus !== 'gameFlow') {
+    detailFocus = 'gameFlow';
+    updateDetailFocus();
+  }
+});
+
+boxScoreBox.on('click', () => {
+  if (detailFocus !== 'boxScore') {
+    detailFocus = 'boxScore';
+    updateDetailFocus();
+  }
+});
+
+playByPlayBox.on('click', () => {
+  if (detailFocus !== 'playByPlay') {
+    detailFocus = 'playByPlay';
+    updateDetailFocus();
+  }
+});
+
+shotChartBox.on('click', () => {
+  if (detailFocus !== 'shotChart') {
+    detailFocus = 'shotChart';
+    updateDetailFocus();
+  }
+});
+
+// Shot chart team and player selection
+shotChartBox.key(['t'], () => {
+  shotChartTeam = shotChartTeam === 'away' ? 'home' : 'away';
+  shotChartPlayer = null;
+  renderShotChart();
+  screen.render();
+});
+
+shotChartBox.key(['p', 'S-p'], (ch, key) => {
+  const team = detailData?.boxScore?.game?.[`${shotChartTeam}Team`];
+  if (!team) return;
+  const ids = [null, ...(team.players || []).filter(p => p.played === '1').map(p => p.personId)];
+  const step = key.shift ? -1 : 1;
+  shotChartPlayer = ids[(ids.indexOf(shotChartPlayer) + step + ids.length) % ids.length];
+  renderShotChart();
+  screen.render();
+});
+
+// Play-by-play filters
+playByPlayBox.key(['p'], () => {
+  const periods = [null, ...getPlayByPlayPeriods()];
+  pbpFilters.period = periods[(periods.indexOf(pbpFilters.period) + 1) % periods.length];
+  renderPlayByPlay();
+  screen.render();
+});
+
+playByPlayBox.key(['t'], () => {
+  const game = detailData?.boxScore?.game;
+  if (!game) return;
+  const teams = [null, game.awayTeam.teamTricode, game.homeTeam.teamTricode];
+  pbpFilters.team = teams[(teams.indexOf(pbpFilters.team) + 1) % teams.length];
+  renderPlayByPlay();
+  screen.render();
+});
+
+playByPlayBox.key(['y'], () => {
+  const types = [null, ...PBP_ACTION_TYPES.map(t => t.id)];
+  pbpFilters.type = types[(types.indexOf(pbpFilters.type) + 1) % types.length];
+  renderPlayByPlay();
+  screen.render();
+});
+
+playByPlayBox.key(['/'], () => {
+  pbpPlayerInput.setValue(pbpFilters.player);
+  pbpPlayerInput.show();
+  pbpPlayerInput.focus();
+  screen.render();
+});
+
+playByPlayBox.key(['c'], () => {
+  pbpFilters = { period: null, team: null, player: '', type: null };
+  renderPlayByPlay();
+  screen.render();
+});
+
+// Digits jump to the start of a quarter (5+ for overtimes)
+playByPlayBox.key(['1', '2', '3', '4', '5', '6', '7', '8', '9'], (ch) => {
+  const line = pbpPeriodLines.get(parseInt(ch));
+  if (line !== undefined) {
+    playByPlayBox.scrollTo(line);
+    screen.render();
+  }
+});
+
+pbpPlayerInput.on('submit', (value) => {
+  pbpFilters.player = (value || '').trim();
+  pbpPlayerInput.hide();
+  renderPlayByPlay();
+  playByPlayBox.focus();
+  screen.render();
+});
+
+pbpPlayerInput.on('cancel', () => {
+  pbpPlayerInput.hide();
+  playByPlayBox.focus();
+  screen.render();
+});
+
+// Transactions filters
+transactionsLeftPanel.key(['S-t', '/'], (ch) => {
+  transactionsInputMode = ch === '/' ? 'text' : 'team';
+  transactionsFilterInput.setLabel(transactionsInputMode === 'team'
+    ? ' Filter by team, e.g. BOS or Celtics (empty to clear) '
+    : ' Search transactions (empty to clear) ');
+  transactionsFilterInput.setValue(transactionsFilters[transactionsInputMode]);
+  transactionsFilterInput.show();
+  transactionsFilterInput.focus();
+  screen.render();
+});
+
+transactionsLeftPanel.key(['y'], () => {
+  const types = [null, ...TRANSACTION_TYPES.filter(t => t.filter).map(t => t.id)];
+  transactionsFilters.type = types[(types.indexOf(transactionsFilters.type) + 1) % types.length];
+  transactionsLeftPanel.scrollTo(0);
+  renderTradeNewsView();
+});
+
+// Transactions window and paging
+transactionsLeftPanel.key(['w'], () => {
+  const ids = TRANSACTION_WINDOWS.map(w => w.id);
+  const next = ids[(ids.indexOf(preferences.transactions.window) + 1) % ids.length];
+  if (next !== 'custom') {
+    changeTransactionsWindow(next);
+    return;
+  }
+  const { from, to } = preferences.transactions;
+  transactionsInputMode = 'range';
+  transactionsFilterInput.setLabel(' Custom range, e.g. 2026-01-01 2026-02-15 or 1/1 2/15 (Esc skips) ');
+  transactionsFilterInput.setValue(from && to ? `${from} ${to}` : '');
+  transactionsFilterInput.show();
+  transactionsFilterInput.focus();
+  screen.render();
+});
+
+transactionsLeftPanel.key(['o'], loadOlderTransactions);
+
+transactionsLeftPanel.on('scroll', () => {
+  if (transactionsLeftPanel.getScrollPerc() >= 100) loadOlderTransactions();
+});
+
+transactionsLeftPanel.key(['n'], () => moveTradeCardSelection(1));
+transactionsLeftPanel.key(['p'], () => moveTradeCardSelection(-1));
+
+transactionsLeftPanel.key(['enter', 'space'], () => {
+  if (!tradeCardKeys.includes(selectedTradeCard)) return;
+  if (expandedTrades.has(selectedTradeCard)) {
+    expandedTrades.delete(selectedTradeCard);
+  } else {
+    expandedTrades.add(selectedTradeCard);
+  }
+  renderTradeNewsView();
+});
+
+transactionsLeftPanel.key(['x'], () => {
+  const allExpanded = tradeCardKeys.every(key => expandedTrades.has(key));
+  tradeCardKeys.forEach(key => (allExpanded ? expandedTrades.delete(key) : expandedTrades.add(key)));
+  renderTradeNewsView();
+});
+
+transactionsLeftPanel.key(['c'], () => {
+  transactionsFilters = { team: '', type: null, text: '' };
+  transactionsLeftPanel.scrollTo(0);
+  renderTradeNewsView();
+});
+
+transactionsFilterInput.on('submit', (value) => {
+  transactionsFilterInput.hide();
+  if (transactionsInputMode === 'range') {
+    submitTransactionsRange(value);
+    return;
+  }
+  transactionsFilters[transactionsInputMode] = (value || '').trim();
+  transactionsLeftPanel.scrollTo(0);
+  renderTradeNewsView();
+  transactionsLeftPanel.focus();
+  screen.render();
+});
+
+transactionsFilterInput.on('cancel', () => {
+  transactionsFilterInput.hide();
+  transactionsLeftPanel.focus();
+  // Skipping the custom range moves on to the first window
+  if (transactionsInputMode === 'range') {
+    changeTransactionsWindow(TRANSACTION_WINDOWS[0].id);
+  }
+  screen.render();
+});
+
+// "2026-01-01 2026-02-15", "1/1 to 2/15"; an invalid range leaves the window as it was
+function submitTransactionsRange(value) {
+  transactionsLeftPanel.focus();
+  const [from, to] = (value || '').split(/\s+(?:to\s+)?|\s*\.\.\s*/).map(part => parseDateInput(part, todayDateKey()));
+  if (!from || !to) {
+    screen.render();
+    return;
+  }
+  changeTransactionsWindow('custom', from < to ? from : to, from < to ? to : from);
+}
+
+// Click to focus transaction panels
+transactionsLeftPanel.on('click', () => {
+  if (!transactionsFocusLeft) {
+    transactionsFocusLeft = true;
+    updateTransactionsPanelFocus();
+  }
+});
+
+transactionsRightPanel.on('click', () => {
+  if (transactionsFocusLeft) {
+    transactionsFocusLeft = false;
+    updateTransactionsPanelFocus();
+  }
+});
+
+// Detail view sections, in Tab order. Everything after Game Flow shares the lower half.
+const DETAIL_SECTIONS = [
+  { id: 'gameFlow', name: 'Game Flow', box: gameFlowBox, hint: 'z/Z zoom quarter' },
+  { id: 'boxScore', name: 'Box Score', box: boxScoreBox, hint: 'jk select | s/S sort | Enter player' },
+  { id: 'playByPlay', name: 'Play-by-Play', box: playByPlayBox, hint: 'p period | t team | y type | / player | c clear | 1-4 jump to Q' },
+  { id: 'shotChart', name: 'Shot Chart', box: shotChartBox, hint: 't team | p/P player' },
+  { id: 'lineups', name: 'Lineups', box: lineupsBox, hint: 's sort by minutes/plus-minus' },
+  { id: 'availability', name: 'Availability', box: availabilityBox, hint: '' }
+];
+
+// Function to update detail view focus and highlight
+function updateDetailFocus() {
+  if (detailFocus !== 'gameFlow') {
+    detailLowerSection = detailFocus;
+  }
+  for (const section of DETAIL_SECTIONS) {
+    if (section.id !== 'gameFlow') {
+      if (section.id === detailLowerSection) {
+        section.box.show();
+      } else {
+        section.box.hide();
+      }
+    }
+    section.box.style.border.fg = section.id === detailFocus ? 'yellow' : 'cyan';
+  }
+  DETAIL_SECTIONS.find(section => section.id === detailFocus).box.focus();
+  if (detailData?.boxScore) {
+    renderBoxScore(detailData.boxScore); // Selection highlight follows focus
+  }
+  updateDetailFooter();
+  screen.render();
+}
+
+function updateDetailFooter() {
+  const section = DETAIL_SECTIONS.find(s => s.id === detailFocus);
+  const hint = section.hint ? ` | ${section.hint}` : '';
+  detailFooter.setContent(`{center}{green-fg}●{/green-fg} {yellow-fg}[${section.name}]{/yellow-fg} | jk/↑↓ scroll${hint} | Tab switch section | q/Esc back{/center}`);
+}
+
+function cycleDetailFocus(step) {
+  const index = DETAIL_SECTIONS.findIndex(section => section.id === detailFocus);
+  detailFocus = DETAIL_SECTIONS[(index + step + DETAIL_SECTIONS.length) % DETAIL_SECTIONS.length].id;
+  updateDetailFocus();
+}
+
+screen.key(['S-tab'], () => {
+  if (isDialogVisible()) return;
+  if (detailView) {
+    cycleDetailFocus(-1);
+  } else if (multiView) {
+    multiFocus = (multiFocus - 1 + multiGames.length) % multiGames.length;
+    updateMultiFocus();
+  }
+});
+
+// Tab to switch focus between sections
+screen.key(['tab'], () => {
+  if (isDialogVisible()) return;
+  if (detailView) {
+    cycleDetailFocus(1);
+  } else if (multiView) {
+    multiFocus = (multiFocus + 1) % multiGames.length;
+    updateMultiFocus();
+  } else if (mainView === 'tradeNews') {
+    cycleTransactionsFocus();
+  }
+});
+
+screen.key(['1'], () => {
+  if (isDialogVisible() || detailView || multiView) return;
+  mainView = 'scores';
+  updateMenu();
+  renderCurrentView();
+});
+
+screen.key(['left', 'h'], () => {
+  if (isDialogVisible() || detailView || multiView) return;
+  if (mainView === 'standings') {
+    mainView = 'scores';
+  } else if (mainView === 'tradeNews') {
+    mainView = 'standings';
+  } else if (mainView === 'playoffs') {
+    mainView = 'tradeNews';
+  }
+  updateMenu();
+  renderCurrentView();
+});
+
+screen.key(['2'], () => {
+  if (isDialogVisible() || detailView || multiView) return;
+  mainView = 'standings';
+  updateMenu();
+  renderCurrentView();
+});
+
+screen.key(['3'], () => {
+  if (isDialogVisible() || detailView || multiView) return;
+  mainView = 'tradeNews';
+  updateMenu();
+  renderCurrentView();
+});
+
+screen.key(['4'], () => {
+  if (isDialogVisible() || detailView || multiView) return;
+  mainView = 'playoffs';
+  updateMenu();
+  renderCurrentView();
+});
+
+screen.key(['right', 'l'], () => {
+  if (isDialogVisible() || detailView || multiView) return;
+  if (mainView === 'scores') {
+    mainView = 'standings';
+  } else if (mainView === 'standings') {
+    mainView = 'tradeNews';
+  } else if (mainView === 'tradeNews') {
+    mainView = 'playoffs';
+  }
+  updateMenu();
+  renderCurrentView();
+});
+
+// Search input submit handler
+searchInput.on('submit', async (value) => {
+  if (value && value.length >= 2) {
+    // Show loading status
+    searchResultsList.setItems(['{yellow-fg}Searching...{/yellow-fg}']);
+    screen.render();
+
+    searchResults = [...searchTeams(value), ...await searchPlayers(value)];
+
+    if (searchResults.length === 0) {
+      searchResultsList.setItems(['{gray-fg}No players or teams found{/gray-fg}']);
+    } else {
+      renderSubscriptionPanel();
+      searchResultsList.focus();
+      searchResultsList.select(0);
+    }
+    screen.render();
+  }
+});
+
+// Search input cancel
+searchInput.key(['escape'], () => {
+  searchInput.clearValue();
+  transactionsFocusLeft = true;
+  updateTransactionsPanelFocus();
+});
+
+// Search results - select player to subscribe
+searchResultsList.on('select', (item, index) => {
+  if (searchResults[index]) {
+    const player = searchResults[index];
+    if (addSubscription(player)) {
+      renderSubscriptionPanel();
+      // Send mock notification to preview
+      notifier.notify({
+        title: isTeamSubscription(player) ? 'Team Subscribed' : 'Player Subscribed',
+        message: isTeamSubscription(player)
+          ? `You will be notified about every ${player.name} transaction.`
+          : `You will be notified when ${player.name} appears in transactions.`,
+        sound: true
+      });
+    }
+  }
+});
+
+searchResultsList.key(['escape'], () => {
+  searchInput.focus();
+});
+
+// Subscribed list - remove player
+subscribedList.on('select', (item, index) => {
+  if (subscribedPlayers[index]) {
+    removeSubscription(subscribedPlayers[index].id);
+    renderSubscriptionPanel();
+  }
+});
+
+subscribedList.key(['escape', 'd', 'backspace'], () => {
+  const index = subscribedList.selected;
+  if (subscribedPlayers[index]) {
+    removeSubscription(subscribedPlayers[index].id);
+    renderSubscriptionPanel();
+  }
+});
+
+// Toggle game start and final alerts for a subscribed team
+subscribedList.key(['g'], () => {
+  const subscription = subscribedPlayers[subscribedList.selected];
+  if (!subscription || !isTeamSubscription(subscription)) return;
+  setTeamGameAlerts(subscription, !subscription.gameAlerts);
+  renderSubscriptionPanel();
+});
+
+// Notification history - Enter shows the transactions for that player
+notificationsList.on('select', (item, index) => {
+  const entry = notificationHistory.history[index];
+  if (!entry) return;
+  entry.read = true;
+  saveNotificationHistory();
+  transactionsFilters = entry.team
+    ? { team: entry.team, type: null, text: '' }
+    : { team: '', type: null, text: entry.subject };
+  transactionsLeftPanel.scrollTo(0);
+  renderTradeNewsView();
+  renderSubscriptionPanel();
+  transactionsFocusLeft = true;
+  updateTransactionsPanelFocus();
+});
+
+transactionsLeftPanel.key(['m'], markAllTransactionsSeen);
+notificationsList.key(['m'], markAllTransactionsSeen);
+
+notificationsList.key(['escape'], () => {
+  transactionsFocusLeft = true;
+  updateTransactionsPanelFocus();
+});
+
+function updateMenu() {
+  const scoresStyle = mainView === 'scores' ? '{bold}{white-bg}{black-fg}' : '{white-fg}';
+  const scoresEnd = mainView === 'scores' ? '{/black-fg}{/white-bg}{/bold}' : '{/white-fg}';
+  const standingsStyle = mainView === 'standings' ? '{bold}{white-bg}{black-fg}' : '{white-fg}';
+  const standingsEnd = mainView === 'standings' ? '{/black-fg}{/white-bg}{/bold}' : '{/white-fg}';
+  const newsStyle = mainView === 'tradeNews' ? '{bold}{white-bg}{black-fg}' : '{white-fg}';
+  const newsEnd = mainView === 'tradeNews' ? '{/black-fg}{/white-bg}{/bold}' : '{/white-fg}';
+  const playoffsStyle = mainView === 'playoffs' ? '{bold}{white-bg}{black-fg}' : '{white-fg}';
+  const playoffsEnd = mainView === 'playoffs' ? '{/black-fg}{/white-bg}{/bold}' : '{/white-fg}';
+
+  menuBar.setContent(` ${scoresStyle} [1] Scores ${scoresEnd}  ${standingsStyle} [2] Standings ${standingsEnd}  ${newsStyle} [3] Transactions ${newsEnd}  ${playoffsStyle} [4] Playoffs ${playoffsEnd}`);
+  screen.render();
+}
+
+async function fetchScores(date = null) {
+  if (date && date !== liveScoreboardDate) {
+    return fetchScoresForDate(date);
+  }
+  try {
+    const response = await fetch(NBA_API_URL);
+    if (!response.ok) throw new Error(`HTTP error: ${response.status}`);
+    const data = await response.json();
+    liveScoreboardDate = data?.scoreboard?.gameDate || liveScoreboardDate;
+    return data;
+  } catch (error) {
+    return null;
+  }
+}
+
+async function fetchSchedule() {
+  if (scheduleCache && Date.now() - scheduleCache.fetchedAt < SCHEDULE_CACHE_TTL) {
+    return scheduleCache.data;
+  }
+  try {
+    const response = await fetch(NBA_SCHEDULE_URL);
+    if (!response.ok) throw new Error(`HTTP error: ${response.status}`);
+    const data = await response.json();
+    scheduleCache = { fetchedAt: Date.now(), data };
+    return data;
+  } catch (error) {
+    // Fall back to a stale copy rather than losing the view
+    return scheduleCache ? scheduleCache.data : null;
+  }
+}
+
+// Convert a season schedule game into the shape used by the live scoreboard
+function normalizeScheduleGame(game) {
+  const leaders = game.pointsLeaders || [];
+  const toLeader = (tricode) => {
+    const leader = leaders.find(l => l.teamTricode === tricode);
+    if (!leader) return null;
+    return {
+      name: `${leader.firstName || ''} ${leader.lastName || ''}`.trim(),
+      jerseyNum: '',
+      points: leader.points
+    };
+  };
+
+  return {
+    ...game,
+    gameTimeUTC: game.gameDateTimeUTC || game.gameTimeUTC,
+    period: game.period || 0,
+    gameClock: game.gameClock || '',
+    gameLeaders: {
+      homeLeaders: toLeader(game.homeTeam?.teamTricode),
+      awayLeaders: toLeader(game.awayTeam?.teamTricode)
+    }
+  };
+}
+
+// Build a scoreboard-shaped payload for any date from the season schedule
+async function fetchScoresForDate(date) {
+  const schedule = await fetchSchedule();
+  const gameDates = schedule?.leagueSchedule?.gameDates;
+  if (!gameDates) return null;
+
+  const entry = gameDates.find(gd => {
+    const [month, day, year] = (gd.gameDate || '').split(' ')[0].split('/');
+    return `${year}-${(month || '').padStart(2, '0')}-${(day || '').padStart(2, '0')}` === date;
+  });
+
+  return {
+    scoreboard: {
+      gameDate: date,
+      games: (entry?.games || []).map(normalizeScheduleGame)
+    }
+  };
+}
+
+async function fetchBoxScore(gameId) {
+  try {
+    const url = BOXSCORE_URL.replace('GAMEID', gameId);
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HTTP error: ${response.status}`);
+    return await response.json();
+  } catch (error) {
+    return null;
+  }
+}
+
+async function fetchPlayByPlay(gameId) {
+  try {
+    const url = PLAYBYPLAY_URL.replace('GAMEID', gameId);
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HTTP error: ${response.status}`);
+    return await response.json();
+  } catch (error) {
+    return null;
+  }
+}
+
+async function fetchInjuries() {
+  if (injuriesCache && Date.now() - injuriesCache.fetchedAt < INJURIES_CACHE_TTL) {
+    return injuriesCache.data;
+  }
+  try {
+    const response = await fetch(ESPN_INJURIES_URL);
+    if (!response.ok) throw new Error(`HTTP error: ${response.status}`);
+    const data = await response.json();
+    injuriesCache = { fetchedAt: Date.now(), data };
+    return data;
+  } catch (error) {
+    return injuriesCache ? injuriesCache.data : null;
+  }
+}
+
+async function fetchStandings(season = null) {
+  try {
+    const response = await fetch(season ? `${ESPN_STANDINGS_URL}?season=${season}` : ESPN_STANDINGS_URL);
+    if (!response.ok) throw new Error(`HTTP error: ${response.status}`);
+    return await response.json();
+  } catch (error) {
+    return null;
+  }
+}
+
+// Trade deadline by season end year; other seasons assume the first Thursday of February
+const TRADE_DEADLINES = {
+  2023: '2023-02-09',
+  2024: '2024-02-08',
+  2025: '2025-02-06',
+  2026: '2026-02-05'
+};
+
+const TRANSACTION_WINDOWS = [
+  { id: 'week', name: 'Last week' },
+  { id: 'threeMonths', name: 'Last 3 months' },
+  { id: 'deadline', name: 'Since the deadline' },
+  { id: 'season', name: 'Whole season' },
+  { id: 'custom', name: 'Custom range' }
+];
+
+function getTradeDeadline(year) {
+  if (TRADE_DEADLINES[year]) return TRADE_DEADLINES[year];
+  const d = new Date(`${year}-02-01T12:00:00Z`);
+  d.setUTCDate(1 + ((4 - d.getUTCDay() + 7) % 7));
+  return d.toISOString().split('T')[0];
+}
+
+// Date range ('YYYY-MM-DD', inclusive) of the transactions window. A past season counts back from June 30,
+// and the last-week / last-3-months windows only make sense for the current season, so they show it whole.
+function getTransactionsRange() {
+  const year = getSeasonYear();
+  const seasonStart = `${year - 1}-07-01`;
+  const end = selectedSeason ? `${year}-06-30` : todayDateKey();
+  const { window, from, to } = preferences.transactions;
+
+  if (window === 'custom' && from && to) {
+    return { start: from, end: to };
+  }
+  if (window === 'deadline') {
+    // Before this season's deadline, "since the deadline" means last season's
+    const deadline = getTradeDeadline(year);
+    return { start: deadline <= end ? deadline : getTradeDeadline(year - 1), end };
+  }
+  if (selectedSeason || window === 'season' || window === 'custom') {
+    return { start: seasonStart, end };
+  }
+  if (window === 'week') {
+    return { start: shiftDateKey(end, -7), end };
+  }
+
+  const d = new Date(`${end}T12:00:00Z`);
+  d.setUTCMonth(d.getUTCMonth() - 3);
+  return { start: d.toISOString().split('T')[0], end };
+}
+
+// Identifies the loaded window independent of today's date, so a refresh after midnight keeps older pages
+function getTransactionsWindowKey() {
+  const { window, from, to } = preferences.transactions;
+  return [selectedSeason || 'current', window, ...(window === 'custom' ? [from, to] : [])].join(':');
+}
+
+function resetTradeNews() {
+  tradeNewsData = null;
+  transactionsPaging = { windowKey: null, before: null, page: 0, loading: false, done: false };
+}
+
+function getTransactionsUrl(range, page = 1) {
+  const dates = `${range.start.replace(/-/g, '')}-${range.end.replace(/-/g, '')}`;
+  return `${ESPN_TRANSACTIONS_BASE_URL}?dates=${dates}&limit=${TRANSACTIONS_PAGE_SIZE}&page=${page}`;
+}
+
+async function fetchTradeNews(range, page = 1) {
+  try {
+    const url = getTransactionsUrl(range, page);
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HTTP error: ${response.status}`);
+    return await response.json();
+  } catch (error) {
+    return null;
+  }
+}
+
+function isLastTransactionsPage(data, page) {
+  if (data?.pageCount) return page >= data.pageCount;
+  return (data?.transactions?.length || 0) < TRANSACTIONS_PAGE_SIZE;
+}
+
+// Add transactions not already loaded, newer ones in front and older ones behind
+function mergeTransactions(fetched, { prepend = false } = {}) {
+  const known = new Set(tradeNewsData.transactions.map(getTransactionKey));
+  const added = (fetched || []).filter(tx => !known.has(getTransactionKey(tx)));
+  tradeNewsData.transactions = prepend ? [...added, ...tradeNewsData.transactions] : [...tradeNewsData.transactions, ...added];
+  return added.length;
+}
+
+// After the first load, only ask for the days since the newest transaction we have
+async function fetchNewTransactions(range) {
+  const end = todayDateKey();
+  if (range.end < end) return;
+  const latest = tradeNewsData.transactions.map(tx => (tx.date || '').split('T')[0]).sort().pop() || range.start;
+  const newRange = { start: latest > range.start ? latest : range.start, end };
+  const loaded = tradeNewsData;
+
+  // A page with nothing new means we've caught up
+  for (let page = 1; ; page++) {
+    const data = await fetchTradeNews(newRange, page);
+    if (!data || loaded !== tradeNewsData) return;
+    const added = mergeTransactions(data.transactions, { prepend: true });
+    if (added === 0 || isLastTransactionsPage(data, page)) return;
+  }
+}
+
+// Older entries are fetched up to the oldest day loaded, so new rows added in front don't shift the pages.
+// That day comes back again; a page of nothing but known rows moves on to the next one.
+async function fetchAlertTransactions() {
+  const end = todayDateKey();
+  const data = await fetchTradeNews({ start: shiftDateKey(end, -ALERT_TRANSACTIONS_DAYS), end });
+  return data?.transactions || null;
+}
+
+async function loadOlderTransactions() {
+  if (!tradeNewsData || transactionsPaging.loading || transactionsPaging.done) return;
+  const paging = transactionsPaging;
+  const loaded = tradeNewsData;
+  const range = getTransactionsRange();
+  const before = loaded.transactions.map(tx => (tx.date || '').split('T')[0]).filter(Boolean).sort()[0] || range.end;
+  let page = before === paging.before ? paging.page : 0;
+  paging.loading = true;
+  renderTradeNewsView();
+
+  for (;;) {
+    page++;
+    const data = await fetchTradeNews({ start: range.start, end: before }, page);
+    // The window or season changed while this page was loading
+    if (paging !== transactionsPaging || loaded !== tradeNewsData) return;
+    if (!data) break;
+    const added = mergeTransactions(data.transactions);
+    Object.assign(paging, { before, page, done: isLastTransactionsPage(data, page) });
+    if (added > 0 || paging.done) break;
+  }
+  paging.loading = false;
+  renderTradeNewsView();
+}
+
+async function changeTransactionsWindow(windowId, from = null, to = null) {
+  preferences.transactions = { window: windowId, from, to };
+  savePreferences();
+  resetTradeNews();
+  transactionsLeftPanel.scrollTo(0);
+  renderTradeNewsView();
+  await refreshTradeNews();
+}
+
+function parseGameClock(clockStr) {
+  if (!clockStr) return { minutes: 0, seconds: 0 };
+  const isoMatch = clockStr.match(/PT(\d+)M([\d.]+)S/);
+  if (isoMatch) {
+    return { minutes: parseInt(isoMatch[1]) || 0, seconds: parseFloat(isoMatch[2]) || 0 };
+  }
+  const parts = clockStr.replace(/[^\d:]/g, '').split(':');
+  if (parts.length === 2) {
+    return { minutes: parseInt(parts[0]) || 0, seconds: parseFloat(parts[1]) || 0 };
+  }
+  return { minutes: 0, seconds: 0 };
+}
+
+function formatGameStatus(game) {
+  const status = game.gameStatus;
+  if (status === 1) {
+    const gameTime = new Date(game.gameTimeUTC).toLocaleTimeString('en-US', {
+      hour: 'numeric',
+      minute: '2-digit',
+      hour12: true
+    });
+    return `{gray-fg}Starts at ${gameTime}{/gray-fg}`;
+  } else if (status === 2) {
+    const period = game.period;
+    const { minutes, seconds } = parseGameClock(game.gameClock);
+    if (minutes === 0 && seconds === 0) {
+      if (period === 2) return `{yellow-fg}Halftime{/yellow-fg}`;
+      else if (period <= 4) return `{yellow-fg}End of Q${period}{/yellow-fg}`;
+      else return `{yellow-fg}End of OT${period - 4}{/yellow-fg}`;
+    }
+    const periodName = period <= 4 ? `Q${period}` : `OT${period - 4}`;
+    if (minutes < 1) {
+      const wholeSec = Math.floor(seconds).toString().padStart(2, '0');
+      const decimalPart = Math.round((seconds % 1) * 100).toString().padStart(2, '0');
+      return `{red-fg}${periodName} ${wholeSec}.${decimalPart}{/red-fg}`;
+    } else {
+      const minDisplay = minutes.toString().padStart(2, '0');
+      const secDisplay = Math.floor(seconds).toString().padStart(2, '0');
+      return `${periodName} ${minDisplay}:${secDisplay}`;
+    }
+  } else {
+    return `{green-fg}Final{/green-fg}`;
+  }
+}
+
+const HOME_COURT_POINTS = 2.5; // Pregame home-court edge, in points
+const WIN_PCT_SPREAD_POINTS = 25; // Points of expected margin per 1.000 of win% difference
+const FINAL_MARGIN_STDDEV = 13; // Std. deviation of an NBA final margin over a full game
+const REGULATION_SECONDS = 48 * 60;
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26)
+function normalCdf(x) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(x * x) / 2);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+function getSecondsRemaining(period, clock) {
+  if (!period) return REGULATION_SECONDS;
+  const { minutes, seconds } = parseGameClock(clock);
+  const clockSeconds = minutes * 60 + seconds;
+  return period <= 4 ? (4 - period) * 720 + clockSeconds : clockSeconds;
+}
+
+// Expected home margin before tip-off, from season records plus home court
+function getPregameSpread(homeTeam, awayTeam) {
+  const pct = (team) => {
+    const games = toNumber(team?.wins) + toNumber(team?.losses);
+    return games > 0 ? toNumber(team.wins) / games : 0.5;
+  };
+  return HOME_COURT_POINTS + (pct(homeTeam) - pct(awayTeam)) * WIN_PCT_SPREAD_POINTS;
+}
+
+/**
+ * Home team win probability (0-1). The remaining margin is modelled as normal, centred on the
+ * share of the pregame spread still to be played, with variance shrinking with time left.
+ */
+function estimateWinProbability(margin, secondsRemaining, pregameSpread = HOME_COURT_POINTS) {
+  if (secondsRemaining <= 0) {
+    return margin > 0 ? 1 : margin < 0 ? 0 : 0.5;
+  }
+  const t = secondsRemaining / REGULATION_SECONDS;
+  const expectedMargin = margin + pregameSpread * t;
+  return normalCdf(expectedMargin / (FINAL_MARGIN_STDDEV * Math.sqrt(t)));
+}
+
+// Win probability for a scoreboard game, or null once it is final
+function getGameWinProbability(game) {
+  if (game.gameStatus === 3) return null;
+  const spread = getPregameSpread(game.homeTeam, game.awayTeam);
+  if (game.gameStatus === 1) return estimateWinProbability(0, REGULATION_SECONDS, spread);
+  const margin = toNumber(game.homeTeam.score) - toNumber(game.awayTeam.score);
+  return estimateWinProbability(margin, getSecondsRemaining(game.period, game.gameClock), spread);
+}
+
+function formatPlayerName(fullName) {
+  if (!fullName) return '';
+  const parts = fullName.trim().split(/\s+/);
+  if (parts.length === 1) return parts[0];
+  return `${parts[0][0]}. ${parts.slice(1).join(' ')}`;
+}
+
+function getGameMVP(game) {
+  const leaders = game.gameLeaders;
+  if (!leaders || game.gameStatus === 1) return null;
+  const homeLeader = leaders.homeLeaders;
+  const awayLeader = leaders.awayLeaders;
+  // Schedule data for other dates may only carry the leader of one team
+  if (!homeLeader?.points && !awayLeader?.points) return null;
+
+  const homePts = parseInt(homeLeader?.points) || 0;
+  const awayPts = parseInt(awayLeader?.points) || 0;
+  const leader = homePts >= awayPts ? homeLeader : awayLeader;
+  const team = homePts >= awayPts ? game.homeTeam.teamTricode : game.awayTeam.teamTricode;
+
+  return {
+    name: formatPlayerName(leader.name),
+    jerseyNum: leader.jerseyNum || '',
+    team,
+    pts: parseInt(leader.points) || 0,
+    reb: parseInt(leader.rebounds) || 0,
+    ast: parseInt(leader.assists) || 0
+  };
+}
+
+function stripTags(str) {
+  return str.replace(/\{[^}]+\}/g, '');
+}
+
+function padWithTags(str, width) {
+  const plainLen = stripTags(str).length;
+  return str + ' '.repeat(Math.max(0, width - plainLen));
+}
+
+function buildGameRow(game) {
+  const away = game.awayTeam;
+  const home = game.homeTeam;
+  const gameStarted = game.gameStatus !== 1;
+
+  const awayAbbr = away.teamTricode;
+  const homeAbbr = home.teamTricode;
+  const awayScore = gameStarted ? String(away.score).padStart(3) : '  -';
+  const homeScore = gameStarted ? String(home.score).padStart(3) : '  -';
+
+  const awayLeading = gameStarted && away.score > home.score;
+  const homeLeading = gameStarted && home.score > away.score;
+
+  let awayDisplay = awayLeading ? `{bold}{white-fg}${awayAbbr} ${awayScore}{/white-fg}{/bold}` : `{gray-fg}${awayAbbr} ${awayScore}{/gray-fg}`;
+  let homeDisplay = homeLeading ? `{bold}{white-fg}${homeAbbr} ${homeScore}{/white-fg}{/bold}` : `{gray-fg}${homeAbbr} ${homeScore}{/gray-fg}`;
+
+  const scoreCol = `${awayDisplay}  -  ${homeDisplay}`;
+  const seriesText = getSeriesText(game);
+  const status = seriesText ? `${formatGameStatus(game)} {gray-fg}· ${seriesText}{/gray-fg}` : formatGameStatus(game);
+
+  const mvp = getGameMVP(game);
+  let mvpCol = '';
+  if (mvp) {
+    const stats = [`${mvp.pts} PTS`];
+    if (mvp.reb >= 5) stats.push(`${mvp.reb} REB`);
+    if (mvp.ast >= 5) stats.push(`${mvp.ast} AST`);
+    const jerseyStr = mvp.jerseyNum ? ` #${mvp.jerseyNum}` : '';
+    mvpCol = `{yellow-fg}${mvp.name}${jerseyStr} - ${mvp.team} (${stats.slice(0, 3).join(', ')}){/yellow-fg}`;
+  }
+
+  // Win probability for whichever side is favored; gray before tip-off
+  let wpCol = '';
+  const homeWp = getGameWinProbability(game);
+  if (homeWp !== null) {
+    const favAbbr = homeWp >= 0.5 ? homeAbbr : awayAbbr;
+    const favPct = Math.round(Math.max(homeWp, 1 - homeWp) * 100);
+    const text = `${favAbbr} ${favPct}%`;
+    wpCol = gameStarted ? `{cyan-fg}${text}{/cyan-fg}` : `{gray-fg}${text}{/gray-fg}`;
+  }
+
+  return { scoreCol, status, wpCol, mvpCol };
+}
+
+// Effective settings for a rule, globally or for one team (null when the team has no override)
+function getAlertSettings(ruleId, teamAbbr = null) {
+  const rule = ALERT_RULES.find(r => r.id === ruleId);
+  const global = { ...rule.defaults, ...preferences.alerts.rules[ruleId] };
+  if (!teamAbbr) return global;
+  const override = preferences.alerts.teams[teamAbbr]?.[ruleId];
+  return override ? { ...global, ...override } : null;
+}
+
+// A team's override wins over the global setting for that team; a game fires if either team's settings allow it
+function getGameAlertSettings(ruleId, game) {
+  const overrides = [game.awayTeam.teamTricode, game.homeTeam.teamTricode].map(abbr => getAlertSettings(ruleId, abbr));
+  if (overrides.every(override => !override)) return [getAlertSettings(ruleId)];
+  return overrides.map(override => override || getAlertSettings(ruleId));
+}
+
+/**
+ * Diff two consecutive scoreboards and return the alerts that should fire.
+ * `state` carries already-fired keys and each game's largest lead so far; it is updated in place.
+ */
+function evaluateGameAlerts(prevGames, games, state, settingsFor = getGameAlertSettings) {
+  const alerts = [];
+  const prevById = new Map((prevGames || []).map(g => [g.gameId, g]));
+
+  for (const game of games || []) {
+    const prev = prevById.get(game.gameId) || null;
+
+    if (game.gameStatus === 2) {
+      const diff = game.homeTeam.score - game.awayTeam.score;
+      const leads = state.maxLeads.get(game.gameId) || { home: 0, away: 0 };
+      leads.home = Math.max(leads.home, diff);
+      leads.away = Math.max(leads.away, -diff);
+      state.maxLeads.set(game.gameId, leads);
+    }
+
+    for (const rule of ALERT_RULES) {
+      for (const settings of settingsFor(rule.id, game)) {
+        if (!settings.enabled) continue;
+        const result = rule.check(prev, game, settings.threshold, state.maxLeads.get(game.gameId));
+        if (!result) continue;
+
+        const key = `${game.gameId}-${rule.id}-${result.key}`;
+        if (state.fired.has(key)) break;
+        state.fired.add(key);
+
+        const away = game.awayTeam;
+        const home = game.homeTeam;
+        alerts.push({
+          key,
+          ruleId: rule.id,
+          gameId: game.gameId,
+          title: `${rule.name}: ${away.teamTricode} @ ${home.teamTricode}`,
+          message: `${away.teamTricode} ${away.score} - ${home.teamTricode} ${home.score} | ${stripTags(formatGameStatus(game))} | ${result.message}`
+        });
+        break;
+      }
+    }
+  }
+
+  return alerts;
+}
+
+function checkGameAlerts(data) {
+  const games = data?.scoreboard?.games;
+  if (!games) return;
+
+  const alerts = evaluateGameAlerts(lastAlertGames, games, alertState);
+  lastAlertGames = games;
+
+  for (const alert of alerts) {
+    notifier.notify({
+      title: alert.title,
+      message: alert.message,
+      sound: true
+    });
+  }
+}
+
+function renderScoresView() {
+  const data = scoresData;
+  if (!data) {
+    gameList.setItems(['{red-fg}Failed to fetch scores. Retrying...{/red-fg}']);
+    screen.render();
+    return;
+  }
+
+  // Pin games involving a favorite team to the top, keeping schedule order otherwise
+  const isFavoriteGame = (game) => isFavoriteTeam(game.awayTeam.teamTricode) || isFavoriteTeam(game.homeTeam.teamTricode);
+  const games = [
+    ...data.scoreboard.games.filter(isFavoriteGame),
+    ...data.scoreboard.games.filter(game => !isFavoriteGame(game))
+  ];
+  currentGames = games;
+  const gameDate = data.scoreboard.gameDate;
+
+  const dateLabel = scoresDate ? '' : ' (Today)';
+  header.setContent(`{center}{gray-fg}◀ [{/gray-fg}  NBA Scores - ${gameDate}${dateLabel}  {gray-fg}] ▶{/gray-fg}{/center}`);
+
+  if (games.length === 0) {
+    gameList.setItems([scoresDate ? 'No games scheduled for this date.' : 'No games scheduled for today.']);
+    screen.render();
+    return;
+  }
+
+  // Playoff nights need room for the series status next to the clock
+  const statusWidth = games.some(game => getSeriesText(game)) ? 44 : 24;
+  const tableWidth = 78 + statusWidth;
+  const leftPad = Math.max(0, Math.floor((screen.width - tableWidth) / 2));
+  const pad = ' '.repeat(leftPad);
+
+  const headerRow = `${pad}{bold}${'SCORE'.padEnd(30)}${'STATUS'.padEnd(statusWidth)}${'WIN PROB'.padEnd(12)}${'TOP PERFORMER'}{/bold}`;
+  const separator = `${pad}{gray-fg}${'─'.repeat(tableWidth)}{/gray-fg}`;
+
+  const items = [headerRow, separator];
+
+  // Favorite games get a star in the left margin, games picked for the split screen their tile number
+  const rowMargin = (game) => {
+    if (leftPad < 4) return pad;
+    const tile = multiGames.findIndex(g => g.gameId === game.gameId);
+    const tileMark = tile >= 0 ? `{cyan-fg}${tile + 1}{/cyan-fg} ` : '  ';
+    const favMark = isFavoriteGame(game) ? '{yellow-fg}★{/yellow-fg} ' : '  ';
+    return `${' '.repeat(leftPad - 4)}${tileMark}${favMark}`;
+  };
+
+  for (const game of games) {
+    const row = buildGameRow(game);
+    const scoreFormatted = padWithTags(row.scoreCol, 30);
+    const statusFormatted = padWithTags(row.status, statusWidth);
+    const wpFormatted = padWithTags(row.wpCol, 12);
+    const rowPad = rowMargin(game);
+    items.push(`${rowPad}${scoreFormatted}${statusFormatted}${wpFormatted}${row.mvpCol}`);
+  }
+
+  const prevSelected = gameList.selected;
+  gameList.setItems(items);
+  gameList.select(Math.max(2, prevSelected)); // Skip header rows
+  screen.render();
+}
+
+// Completed regular-season games from the season schedule, in the shape the tiebreakers use
+function getCompletedGames(schedule) {
+  const games = [];
+  for (const gameDate of schedule?.leagueSchedule?.gameDates || []) {
+    for (const game of gameDate.games || []) {
+      // Regular-season game IDs start with 002; the NBA Cup final (006) doesn't count
+      if (game.gameStatus !== 3 || !String(game.gameId).startsWith('002')) continue;
+      games.push({
+        home: game.homeTeam.teamTricode,
+        away: game.awayTeam.teamTricode,
+        homeScore: toNumber(game.homeTeam.score),
+        awayScore: toNumber(game.awayTeam.score)
+      });
+    }
+  }
+  return games;
+}
+
+function getWinPct(wins, losses) {
+  return wins + losses > 0 ? wins / (wins + losses) : 0;
+}
+
+// Record of `team` in `games`, optionally only against the `opponents` list
+function getRecordAgainst(games, team, opponents = null) {
+  let wins = 0, losses = 0;
+  for (const game of games) {
+    const isHome = game.home === team;
+    if (!isHome && game.away !== team) continue;
+    if (opponents && !opponents.includes(isHome ? game.away : game.home)) continue;
+    const margin = isHome ? game.homeScore - game.awayScore : game.awayScore - game.homeScore;
+    if (margin > 0) wins++;
+    else losses++;
+  }
+  return { wins, losses };
+}
+
+function recordCriterion(getOpponents) {
+  return (team, group, ctx) => {
+    const record = getRecordAgainst(ctx.games, team, getOpponents(team, group, ctx));
+    if (record.wins + record.losses === 0) return { value: null };
+    return { value: getWinPct(record.wins, record.losses), label: `${record.wins}-${record.losses}` };
+  };
+}
+
+// NBA tiebreaker steps. `evaluate` returns a value where higher wins (null when it can't apply).
+const TIEBREAKER_CRITERIA = {
+  headToHead: {
+    name: 'Head-to-head',
+    evaluate: recordCriterion((team, group) => group.filter(t => t !== team))
+  },
+  divisionLeader: {
+    name: 'Division leader',
+    evaluate: (team, group, ctx) => ({ value: ctx.divisionLeaders.has(team) ? 1 : 0, label: ctx.divisionLeaders.has(team) ? 'leads division' : 'not leading' })
+  },
+  divisionRecord: {
+    name: 'Division record',
+    sameDivisionOnly: true,
+    evaluate: recordCriterion((team, group, ctx) => [...ctx.byAbbr.keys()].filter(t => t !== team && TEAM_DIVISIONS[t] === TEAM_DIVISIONS[team]))
+  },
+  conferenceRecord: {
+    name: 'Conference record',
+    evaluate: recordCriterion((team, group, ctx) => [...ctx.byAbbr.values()].filter(t => t.teamAbbr !== team && t.conference === ctx.byAbbr.get(team).conference).map(t => t.teamAbbr))
+  },
+  playoffOwnConference: {
+    name: 'Record vs. playoff teams, own conference',
+    evaluate: recordCriterion((team, group, ctx) => [...ctx.playoffEligible].filter(t => t !== team && ctx.byAbbr.get(t).conference === ctx.byAbbr.get(team).conference))
+  },
+  playoffOtherConference: {
+    name: 'Record vs. playoff teams, other conference',
+    evaluate: recordCriterion((team, group, ctx) => [...ctx.playoffEligible].filter(t => ctx.byAbbr.get(t).conference !== ctx.byAbbr.get(team).conference))
+  },
+  pointDifferential: {
+    name: 'Point differential',
+    evaluate: (team, group, ctx) => {
+      let diff = 0;
+      for (const game of ctx.games) {
+        if (game.home === team) diff += game.homeScore - game.awayScore;
+        else if (game.away === team) diff += game.awayScore - game.homeScore;
+      }
+      return { value: diff, label: diff > 0 ? `+${diff}` : String(diff) };
+    }
+  }
+};
+
+const TWO_TEAM_TIEBREAKERS = ['headToHead', 'divisionLeader', 'divisionRecord', 'conferenceRecord', 'playoffOwnConference', 'playoffOtherConference', 'pointDifferential'];
+const MULTI_TEAM_TIEBREAKERS = ['divisionLeader', 'headToHead', 'divisionRecord', 'conferenceRecord', 'playoffOwnConference', 'pointDifferential'];
+
+// Order a group of tied team abbreviations. Whenever a step splits the group, each part restarts from the top.
+function breakTie(group, ctx, notes) {
+  if (group.length < 2) return group;
+  const steps = group.length === 2 ? TWO_TEAM_TIEBREAKERS : MULTI_TEAM_TIEBREAKERS;
+  for (const id of steps) {
+    if (ctx.skip.includes(id)) continue;
+    const criterion = TIEBREAKER_CRITERIA[id];
+    if (criterion.sameDivisionOnly && new Set(group.map(t => TEAM_DIVISIONS[t])).size > 1) continue;
+
+    const results = group.map(team => ({ team, ...criterion.evaluate(team, group, ctx) }));
+    if (results.some(r => r.value === null)) continue;
+    const values = [...new Set(results.map(r => r.value))].sort((a, b) => b - a);
+    if (values.length < 2) continue;
+
+    results.sort((a, b) => b.value - a.value);
+    notes.push({ teams: values.map(value => results.filter(r => r.value === value).map(r => r.team).join(' = ')), criterion: criterion.name, detail: results.map(r => `${r.team} ${r.label}`).join(', ') });
+    return values.flatMap(value => breakTie(results.filter(r => r.value === value).map(r => r.team), ctx, notes));
+  }
+  const order = [...group].sort();
+  notes.push({ teams: order, criterion: 'Drawing of lots', detail: 'still tied after every tiebreaker' });
+  return order;
+}
+
+// Split abbreviations into groups with the same win percentage, best first
+function groupByWinPct(abbrs, byAbbr) {
+  const pct = (abbr) => getWinPct(byAbbr.get(abbr).wins, byAbbr.get(abbr).losses);
+  const groups = [];
+  for (const abbr of [...abbrs].sort((a, b) => pct(b) - pct(a))) {
+    const last = groups[groups.length - 1];
+    if (last && pct(last[0]) === pct(abbr)) last.push(abbr);
+    else groups.push([abbr]);
+  }
+  return groups;
+}
+
+/**
+ * Seed one conference with the NBA tiebreaker rules. `teams` is the whole league
+ * ([{ teamAbbr, conference, wins, losses }]) and `games` the completed regular-season games
+ * ([{ home, away, homeScore, awayScore }]). Returns { seeds, notes } where notes explain each tie.
+ */
+function rankConference(conference, teams, games) {
+  const byAbbr = new Map(teams.map(t => [t.teamAbbr, t]));
+
+  // Playoff eligible = top 10 by record in each conference, plus anyone tied with 10th
+  const playoffEligible = new Set();
+  for (const conf of new Set(teams.map(t => t.conference))) {
+    const ranked = groupByWinPct(teams.filter(t => t.conference === conf).map(t => t.teamAbbr), byAbbr);
+    let count = 0;
+    for (const group of ranked) {
+      if (count >= 10) break;
+      group.forEach(abbr => playoffEligible.add(abbr));
+      count += group.length;
+    }
+  }
+
+  // Division leaders, with ties broken by every step except "division leader" itself
+  const divisionLeaders = new Set();
+  const leaderCtx = { games, byAbbr, playoffEligible, divisionLeaders, skip: ['divisionLeader'] };
+  for (const division of new Set(Object.values(TEAM_DIVISIONS))) {
+    const members = teams.filter(t => TEAM_DIVISIONS[t.teamAbbr] === division).map(t => t.teamAbbr);
+    if (members.length === 0) continue;
+    const [topGroup] = groupByWinPct(members, byAbbr);
+    divisionLeaders.add(breakTie(topGroup, leaderCtx, [])[0]);
+  }
+
+  const ctx = { games, byAbbr, playoffEligible, divisionLeaders, skip: [] };
+  const notes = [];
+  const abbrs = teams.filter(t => t.conference === conference).map(t => t.teamAbbr);
+  const seeds = groupByWinPct(abbrs, byAbbr).flatMap(group => breakTie(group, ctx, notes)).map(abbr => byAbbr.get(abbr));
+  return { seeds, notes };
+}
+
+// Display value of an ESPN standings stat, looked up by name or record type
+function getStandingsStat(stats, keys) {
+  const stat = (stats || []).find(s => keys.includes(s.name) || keys.includes(s.type));
+  if (!stat) return '-';
+  return stat.displayValue ?? stat.summary ?? String(stat.value ?? '-');
+}
+
+// League-wide team list ([{ teamAbbr, conference, wins, losses, winPct, stats }]) from the ESPN standings
+function getStandingsTeams(data) {
+  const teams = [];
+  for (const conf of data?.children || []) {
+    const confName = conf.name || '';
+    const entries = conf.standings?.entries || [];
+
+    for (const entry of entries) {
+      const team = entry.team || {};
+      const stats = entry.stats || [];
+      const rawAbbr = team.abbreviation || '';
+      const teamAbbr = normalizeTeamAbbr(rawAbbr);
+      const winsRaw = stats.find(s => s.name === 'wins')?.value;
+      const lossesRaw = stats.find(s => s.name === 'losses')?.value;
+      const winPctRaw = stats.find(s => s.name === 'winPercent')?.value;
+
+      const conference = confName.includes('East') ? 'East' : confName.includes('West') ? 'West' : null;
+      if (!conference) continue;
+
+      teams.push({
+        teamAbbr,
+        conference,
+        wins: Math.floor(toNumber(winsRaw, 0)),
+        losses: Math.floor(toNumber(lossesRaw, 0)),
+        winPct: formatWinPct(winPctRaw),
+        playoffSeed: toNumber(stats.find(s => s.name === 'playoffSeed')?.value, 0) || null,
+        stats
+      });
+    }
+  }
+  return teams;
+}
+
+/**
+ * Magic and elimination numbers for every team in `teams` ([{ teamAbbr, conference, wins, losses }]).
+ * Rivals are ordered by games behind. Clinching a top-k finish against the k-th rival needs
+ * SEASON_GAMES + 1 - W - L(rival) more wins or rival losses; ties count as not clinched. The elimination
+ * number works the same way from the other side, against the 10th rival. A goal already out of reach
+ * is reported as 'E', and one with fewer than k rivals to measure against as null.
+ */
+function computeClinchNumbers(teams) {
+  const result = new Map();
+  for (const team of teams) {
+    const rivals = teams.filter(t => t.teamAbbr !== team.teamAbbr && t.conference === team.conference);
+    const divisionRivals = rivals.filter(t => TEAM_DIVISIONS[t.teamAbbr] === TEAM_DIVISIONS[team.teamAbbr]);
+    const byGamesBehind = pool => [...pool].sort((a, b) => (b.wins - b.losses) - (a.wins - a.losses));
+
+    const magicFor = (k, pool) => {
+      const rival = byGamesBehind(pool)[k - 1];
+      if (!rival) return null;
+      // Out of reach when the team's best finish can't pass what the k-th rival already has
+      if (SEASON_GAMES - team.losses < rival.wins) return 'E';
+      return Math.max(0, SEASON_GAMES + 1 - team.wins - rival.losses);
+    };
+
+    const tenth = byGamesBehind(rivals)[9];
+    result.set(team.teamAbbr, {
+      magic: {
+        topSeed: magicFor(1, rivals),
+        division: magicFor(1, divisionRivals),
+        playoff: magicFor(6, rivals),
+        playIn: magicFor(10, rivals)
+      },
+      elimination: tenth ? Math.max(0, SEASON_GAMES + 1 - tenth.wins - team.losses) : SEASON_GAMES + 1 - team.losses
+    });
+  }
+  return result;
+}
 
-let confirmVisible = false;
-let updateDialogVisible = false;
+function formatMagicNumber(clinch, goal) {
+  if (!clinch) return '-';
+  const value = clinch.magic[goal];
+  if (value === null) return '-';
+  return value === 0 ? '✓' : String(value);
+}
 
-function showConfirmDialog() {
-  confirmVisible = true;
-  confirmDialog.show();
-  confirmDialog.focus();
-  screen.render();
+function getClinchMarker(clinch) {
+  return clinch ? CLINCH_MARKERS.find(marker => marker.test(clinch))?.id || '' : '';
 }
 
-function hideConfirmDialog() {
-  confirmVisible = false;
-  confirmDialog.hide();
-  if (mainView === 'scores') {
-    gameList.focus();
-  } else if (mainView === 'standings') {
-    standingsContent.focus();
+// One standings table as tagged lines plus its plain-text width
+function buildStandingsTable(title, teams, seedOf, columns) {
+  const baseWidth = 35;
+  const width = baseWidth + columns.reduce((sum, column) => sum + column.width, 0);
+  const leader = teams[0];
+
+  const centerText = (text) => {
+    const leftPadding = Math.max(0, Math.floor((width - text.length) / 2));
+    return ' '.repeat(leftPadding) + text + ' '.repeat(Math.max(0, width - text.length - leftPadding));
+  };
+
+  const lines = [];
+  lines.push(`{bold}{cyan-fg}${centerText(title)}{/cyan-fg}{/bold}`);
+  const headerRow = ' #  TEAM   W-L   PCT   GB'.padEnd(baseWidth) + columns.map(column => column.name.padStart(column.width)).join('');
+  lines.push(`{gray-fg}${headerRow}{/gray-fg}`);
+  lines.push(`{gray-fg}${'─'.repeat(width)}{/gray-fg}`);
+
+  teams.forEach((team, i) => {
+    // Colors follow the conference seed, whatever the table is sorted by
+    const seed = seedOf.get(team.teamAbbr) ?? i;
+    const color = seed < 6 ? 'green' : seed < 10 ? 'yellow' : 'white';
+    const rank = String(i + 1).padEnd(2);
+    const record = `${team.wins}-${team.losses}`;
+    const gb = i === 0 ? '-   ' : ((leader.wins - team.wins + team.losses - leader.losses) / 2).toFixed(1).padEnd(4);
+    const favMark = isFavoriteTeam(team.teamAbbr) ? '★' : ' ';
+    const marker = getClinchMarker(team.clinch).padEnd(2);
+    const movement = selectedSeason ? 0 : getSeedMovement(team.teamAbbr, seed + 1);
+    const moveText = movement > 0 ? `{green-fg}▲${movement}{/green-fg}` : movement < 0 ? `{red-fg}▼${-movement}{/red-fg}` : '';
+    const movePadded = moveText + ' '.repeat(3 - stripTags(moveText).length);
+    const base = `${rank}. ${team.teamAbbr.padEnd(3)}${favMark} ${record.padEnd(5)}  ${team.winPct}  ${gb} ${marker}`.padEnd(baseWidth - 4);
+    const extras = columns.map(column => (column.value ? column.value(team) : getStandingsStat(team.stats, column.stats)).padStart(column.width)).join('');
+    let row = `{${color}-fg}${base}{/${color}-fg} ${movePadded}${extras}`;
+    if (favMark !== ' ') row = `{bold}${row}{/bold}`;
+    lines.push(row);
+  });
+
+  return { width, lines };
+}
+
+// Past seasons have no schedule to run the tiebreakers on, so they keep ESPN's final seeds
+function rankStandings(conference, teams) {
+  if (selectedSeason && teams.every(team => team.playoffSeed)) {
+    const seeds = teams.filter(team => team.conference === conference).sort((a, b) => a.playoffSeed - b.playoffSeed);
+    return { seeds, notes: [] };
+  }
+  return rankConference(conference, teams, selectedSeason ? [] : standingsGames);
+}
+
+function renderStandingsView() {
+  const data = standingsData;
+  const layout = STANDINGS_LAYOUTS.find(l => l.id === preferences.standings.layout) || STANDINGS_LAYOUTS[0];
+
+  const seasonLabel = data?.children?.[0]?.standings?.seasonDisplayName || formatSeasonLabel(getSeasonYear());
+  header.setContent(`{center}NBA Standings - ${seasonLabel} Season (${layout.name}){/center}`);
+
+  if (!data) {
+    standingsContent.setContent('\n{center}{red-fg}Loading standings...{/red-fg}{/center}');
+    screen.render();
+    return;
+  }
+
+  const conferences = data.children;
+  if (!conferences || conferences.length === 0) {
+    standingsContent.setContent('\n{center}{red-fg}No standings data available{/red-fg}{/center}');
+    screen.render();
+    return;
+  }
+
+  const teams = getStandingsTeams(data);
+  const clinchNumbers = computeClinchNumbers(teams);
+  teams.forEach(team => { team.clinch = clinchNumbers.get(team.teamAbbr); });
+  const east = rankStandings('East', teams);
+  const west = rankStandings('West', teams);
+  const seedOf = new Map();
+  east.seeds.forEach((team, i) => seedOf.set(team.teamAbbr, i));
+  west.seeds.forEach((team, i) => seedOf.set(team.teamAbbr, i));
+  const columns = STANDINGS_COLUMNS.filter(column => preferences.standings.columns.includes(column.id));
+
+  // Tables are laid out in pairs side by side when they fit, otherwise stacked
+  let tablePairs;
+  if (layout.id === 'division') {
+    tablePairs = DIVISION_ORDER.East.map((division, i) => [
+      buildStandingsTable(division.toUpperCase(), east.seeds.filter(t => TEAM_DIVISIONS[t.teamAbbr] === division), seedOf, columns),
+      buildStandingsTable(DIVISION_ORDER.West[i].toUpperCase(), west.seeds.filter(t => TEAM_DIVISIONS[t.teamAbbr] === DIVISION_ORDER.West[i]), seedOf, columns)
+    ]);
+  } else if (layout.id === 'league') {
+    const pct = (team) => getWinPct(team.wins, team.losses);
+    const league = [...east.seeds, ...west.seeds].sort((a, b) => pct(b) - pct(a));
+    tablePairs = [[buildStandingsTable('NBA', league, seedOf, columns)]];
   } else {
-    transactionsLeftPanel.focus();
+    tablePairs = [[
+      buildStandingsTable('EASTERN CONFERENCE', east.seeds, seedOf, columns),
+      buildStandingsTable('WESTERN CONFERENCE', west.seeds, seedOf, columns)
+    ]];
+  }
+
+  const gap = 4;
+  const tableWidth = tablePairs[0][0].width;
+  const sideBySide = tableWidth * 2 + gap <= screen.width;
+  const totalWidth = sideBySide && tablePairs[0].length > 1 ? tableWidth * 2 + gap : tableWidth;
+  const leftPad = Math.max(0, Math.floor((screen.width - totalWidth) / 2));
+  const pad = ' '.repeat(leftPad);
+
+  let content = '\n';
+  for (const pair of tablePairs) {
+    if (sideBySide && pair.length > 1) {
+      const [left, right] = pair;
+      for (let i = 0; i < Math.max(left.lines.length, right.lines.length); i++) {
+        const leftLine = left.lines[i] || '';
+        const leftPadded = leftLine + ' '.repeat(Math.max(0, left.width - stripTags(leftLine).length));
+        content += `${pad}${leftPadded}${' '.repeat(gap)}${right.lines[i] || ''}\n`;
+      }
+      content += '\n';
+    } else {
+      for (const table of pair) {
+        content += table.lines.map(line => `${pad}${line}`).join('\n') + '\n\n';
+      }
+    }
   }
+
+  const legendPlain = 'GB = Games Behind | ★ Favorite | Green: Playoff (1-6) | Yellow: Play-in (7-10) | White: Lottery';
+  const legendPad = ' '.repeat(Math.max(0, Math.floor((screen.width - legendPlain.length) / 2)));
+  content += `${legendPad}{gray-fg}GB = Games Behind | ★ Favorite | {/gray-fg}{green-fg}Green{/green-fg}{gray-fg}: Playoff (1-6) | {/gray-fg}{yellow-fg}Yellow{/yellow-fg}{gray-fg}: Play-in (7-10) | {/gray-fg}{white-fg}White{/white-fg}{gray-fg}: Lottery{/gray-fg}\n`;
+  const markerLegend = `${CLINCH_MARKERS.map(marker => `${marker.id} ${marker.description}`).join(' | ')} | ▲▼ seeds moved since last snapshot | H team history`;
+  content += `${' '.repeat(Math.max(0, Math.floor((screen.width - markerLegend.length) / 2)))}{gray-fg}${markerLegend}{/gray-fg}\n`;
+
+  // How each tie in the conference seeding was decided
+  const tieNotes = [
+    ...east.notes.map(note => ({ ...note, conference: 'EAST' })),
+    ...west.notes.map(note => ({ ...note, conference: 'WEST' }))
+  ];
+  if (tieNotes.length > 0) {
+    content += `\n${pad}{bold}Tiebreakers{/bold}\n`;
+    for (const note of tieNotes) {
+      content += `${pad}{gray-fg}${note.conference}{/gray-fg} ${note.teams.join(' > ')}  {gray-fg}${note.criterion}: ${note.detail}{/gray-fg}\n`;
+    }
+  }
+
+  standingsContent.setContent(content);
   screen.render();
 }
 
-function showUpdateCompleteDialog() {
-  updateDialogVisible = true;
-  updateCompleteDialog.show();
-  updateCompleteDialog.focus();
-  screen.render();
+// Play-in (005) and playoff (004) games from the season schedule, in schedule order
+function getPostseasonGames(schedule) {
+  const games = [];
+  for (const gameDate of schedule?.leagueSchedule?.gameDates || []) {
+    for (const game of gameDate.games || []) {
+      const id = String(game.gameId);
+      if (id.startsWith('004') || id.startsWith('005')) games.push(game);
+    }
+  }
+  return games;
 }
 
-function hideUpdateCompleteDialog() {
-  updateDialogVisible = false;
-  updateCompleteDialog.hide();
-  if (mainView === 'scores') {
-    gameList.focus();
-  } else if (mainView === 'standings') {
-    standingsContent.focus();
-  } else {
-    transactionsLeftPanel.focus();
+function getTeamConference(teamAbbr) {
+  return Object.keys(DIVISION_ORDER).find(conf => DIVISION_ORDER[conf].includes(TEAM_DIVISIONS[teamAbbr])) || null;
+}
+
+// Series status text ("BOS leads 3-2") for playoff games
+function getSeriesText(game) {
+  if (!String(game.gameId).startsWith('004')) return null;
+  return (game.seriesText || '').trim() || null;
+}
+
+// Playoff seeds from the first-round matchups (pairs 1-8, 2-7, 3-6, 4-5). The higher seed hosts games
+// 1, 2, 5 and 7 (the last digit of the game ID) and is one of the top six the play-in can't change, so
+// its opponent is 9 minus its seed: play-in winners come out as 7 and 8, not their standings rank.
+function getPlayoffSeeds(games, seedOf) {
+  const seeds = new Map();
+  for (const game of games) {
+    const id = String(game.gameId);
+    const home = game.homeTeam?.teamTricode;
+    const away = game.awayTeam?.teamTricode;
+    if (!id.startsWith('004') || id[7] !== '1' || !home || !away) continue;
+
+    const [higher, lower] = [1, 2, 5, 7].includes(Number(id[9])) ? [home, away] : [away, home];
+    const seed = (seedOf.get(higher) ?? 99) + 1;
+    if (seed > 6) continue;
+    seeds.set(higher, seed);
+    seeds.set(lower, 9 - seed);
   }
-  screen.render();
+  return seeds;
 }
 
-// Confirm dialog key bindings
-confirmDialog.key(['y', 'Y', 'q', 'Q', 'enter'], () => {
-  process.exit(0);
-});
+/**
+ * Group playoff games into series. Playoff game IDs read 004 + season + 00 + round + series + game,
+ * so the first nine digits identify a series. Returns [{ round, conference, teams, wins, seriesText }]
+ * with `teams` ordered by seed.
+ */
+function buildPlayoffSeries(games, seedOf) {
+  const series = new Map();
+  for (const game of games) {
+    const id = String(game.gameId);
+    const home = game.homeTeam?.teamTricode;
+    const away = game.awayTeam?.teamTricode;
+    if (!id.startsWith('004') || !home || !away) continue;
+
+    const key = id.slice(0, 9);
+    if (!series.has(key)) {
+      const round = Number(id[7]);
+      const teams = [home, away].sort((a, b) => (seedOf.get(a) ?? 99) - (seedOf.get(b) ?? 99));
+      series.set(key, { round, conference: round === 4 ? 'Finals' : getTeamConference(home), teams, wins: { [home]: 0, [away]: 0 }, seriesText: null });
+    }
+    const entry = series.get(key);
+    if (game.gameStatus === 3) {
+      const winner = toNumber(game.homeTeam.score) > toNumber(game.awayTeam.score) ? home : away;
+      entry.wins[winner] = (entry.wins[winner] || 0) + 1;
+    }
+    entry.seriesText = getSeriesText(game) || entry.seriesText;
+  }
+  return [...series.values()];
+}
 
-confirmDialog.key(['n', 'N', 'escape'], () => {
-  hideConfirmDialog();
-});
+// Projected bracket from the current seeds: 1-8, 4-5, 3-6, 2-7, with 7 and 8 still to come through the play-in
+function buildProjectedRounds(seeds) {
+  const team = (seed) => seeds[seed - 1] ? { abbr: seeds[seed - 1].teamAbbr, seed, wins: null } : null;
+  const firstRound = [[1, 8], [4, 5], [3, 6], [2, 7]].map(([top, bottom]) => ({
+    top: team(top),
+    bottom: team(bottom),
+    note: bottom >= 7 ? `${bottom} seed via Play-In` : ''
+  }));
+  return [firstRound, [null, null], [null]];
+}
 
-// Update complete dialog key bindings
-updateCompleteDialog.key(['r', 'R'], () => {
-  // Restart the app
-  const { spawn } = require('child_process');
-  spawn(process.argv[0], process.argv.slice(1), {
-    cwd: appDirectory,
-    detached: true,
-    stdio: 'inherit'
-  }).unref();
-  process.exit(0);
-});
+// Actual bracket: each series goes into the slot of the top seed it descends from
+function buildPostseasonRounds(series, seedOf) {
+  const firstRoundSlot = { 1: 0, 8: 0, 4: 1, 5: 1, 3: 2, 6: 2, 2: 3, 7: 3 };
+  const rounds = [[null, null, null, null], [null, null], [null]];
+  for (const entry of series) {
+    if (entry.round > 3) continue;
+    const slot = Math.floor(firstRoundSlot[(seedOf.get(entry.teams[0]) ?? 0) + 1] / 2 ** (entry.round - 1)) || 0;
+    const [top, bottom] = entry.teams.map(abbr => ({ abbr, seed: (seedOf.get(abbr) ?? -1) + 1 || null, wins: entry.wins[abbr] || 0 }));
+    rounds[entry.round - 1][slot] = { top, bottom, note: entry.seriesText || '' };
+  }
+  return rounds;
+}
 
-updateCompleteDialog.key(['l', 'L', 'escape'], () => {
-  hideUpdateCompleteDialog();
-});
+function formatBracketTeam(team, opponent, width) {
+  if (!team) return '{gray-fg}' + 'TBD'.padEnd(width) + '{/gray-fg}';
+  const seed = team.seed ? `(${team.seed})`.padEnd(5) : '     ';
+  const wins = team.wins === null ? '' : String(team.wins);
+  const text = `${seed}${team.abbr.padEnd(4)}${wins}`.padEnd(width);
+  const fav = isFavoriteTeam(team.abbr);
+  let line = text;
+  if (team.wins !== null && team.wins === 4) line = `{green-fg}{bold}${text}{/bold}{/green-fg}`;
+  else if (opponent && opponent.wins === 4) line = `{gray-fg}${text}{/gray-fg}`;
+  return fav ? `{bold}${line}{/bold}` : line;
+}
 
-// Key bindings
-screen.key(['escape'], () => {
-  if (confirmVisible) {
-    hideConfirmDialog();
-  } else if (detailView) {
-    showListView();
+// Conference bracket as lines: round 1 slots every 4 rows, later rounds centered between the slots they join
+function drawBracket(rounds, columnWidth) {
+  const height = 15;
+  const grid = Array.from({ length: height }, () => rounds.map(() => ' '.repeat(columnWidth)));
+  rounds.forEach((slots, r) => {
+    const spacing = 4 * 2 ** r;
+    slots.forEach((matchup, i) => {
+      const row = i * spacing + (spacing / 2 - 2);
+      grid[row][r] = formatBracketTeam(matchup?.top, matchup?.bottom, columnWidth);
+      grid[row + 1][r] = formatBracketTeam(matchup?.bottom, matchup?.top, columnWidth);
+      if (matchup?.note) {
+        grid[row + 2][r] = `{gray-fg}${matchup.note.slice(0, columnWidth - 1).padEnd(columnWidth)}{/gray-fg}`;
+      }
+    });
+  });
+  return grid.map(cells => cells.join(''));
+}
+
+// Plot one value per column (null = no data) on a `height`-row grid from `min` (bottom row) to `max` (top row)
+function buildLineChart(values, height, min, max, formatLabel) {
+  const rows = Array.from({ length: height }, () => new Array(values.length).fill(' '));
+  values.forEach((value, x) => {
+    if (value === null) return;
+    const y = Math.round((max - value) / (max - min || 1) * (height - 1));
+    rows[Math.max(0, Math.min(height - 1, y))][x] = '●';
+  });
+  return rows.map((row, y) => {
+    const label = y === 0 ? formatLabel(max) : y === height - 1 ? formatLabel(min) : y === Math.floor((height - 1) / 2) ? formatLabel((max + min) / 2) : '';
+    return ` ${label.padStart(5)} │{cyan-fg}${row.join('')}{/cyan-fg}`;
+  });
+}
+
+function renderHistoryPanel() {
+  const dates = Object.keys(standingsHistory.snapshots).sort();
+  const entries = dates
+    .map(date => ({ date, ...standingsHistory.snapshots[date][historyTeam] }))
+    .filter(entry => entry.seed);
+
+  historyPanel.setLabel(` ${historyTeam} Standings History (←/→ team, Esc close) `);
+  if (entries.length === 0) {
+    historyPanel.setContent(`\n  {gray-fg}No snapshots for ${historyTeam} yet. A snapshot is saved each day the standings load.{/gray-fg}`);
+    return;
   }
-});
 
-screen.key(['q'], () => {
-  if (confirmVisible) return;
-  if (detailView) {
-    showListView();
-  } else {
-    showConfirmDialog();
+  // One column per snapshot, or the latest snapshot of each bucket when the season is longer than the panel
+  const width = Math.max(10, Math.min(entries.length, historyPanel.width - 14));
+  const columns = Array.from({ length: width }, (_, x) => {
+    const bucket = entries.filter((_, i) => Math.floor(i * width / entries.length) === x);
+    return bucket[bucket.length - 1] || null;
+  });
+
+  const latest = entries[entries.length - 1];
+  const chartHeight = 10;
+  let content = '\n';
+  content += `  {bold}${historyTeam}{/bold}  ${latest.wins}-${latest.losses}  seed ${latest.seed} in the ${latest.conference}  {gray-fg}${entries.length} snapshots, ${entries[0].date} to ${latest.date}{/gray-fg}\n\n`;
+
+  content += '  {bold}Conference seed{/bold}\n';
+  content += buildLineChart(columns.map(e => e ? e.seed : null), chartHeight, 15, 1, v => String(Math.round(v))).join('\n') + '\n';
+  content += `       └${'─'.repeat(width)}\n`;
+  content += `        {gray-fg}${entries[0].date.padEnd(Math.max(0, width - 10))}${latest.date}{/gray-fg}\n\n`;
+
+  content += '  {bold}Win percentage{/bold}\n';
+  const pcts = columns.map(e => e ? getWinPct(e.wins, e.losses) : null);
+  content += buildLineChart(pcts, chartHeight, 0, 1, v => v.toFixed(3)).join('\n') + '\n';
+  content += `       └${'─'.repeat(width)}\n`;
+  content += `        {gray-fg}${entries[0].date.padEnd(Math.max(0, width - 10))}${latest.date}{/gray-fg}\n\n`;
+
+  content += '  {bold}Recent snapshots{/bold}\n';
+  for (const entry of entries.slice(-10).reverse()) {
+    content += `  ${entry.date}  ${`${entry.wins}-${entry.losses}`.padEnd(6)} ${formatWinPct(getWinPct(entry.wins, entry.losses))}  seed ${entry.seed}\n`;
   }
-});
 
-screen.key(['C-c'], () => {
-  process.exit(0);
-});
+  historyPanel.setContent(content);
+}
 
-// Update key binding
-screen.key(['u', 'U'], () => {
-  if (confirmVisible || updateDialogVisible || detailView) return;
-  if (updateAvailable) {
-    performUpdate();
-  } else {
-    // Manual check for updates
-    checkForUpdates();
+function showHistoryPanel() {
+  const teams = getStandingsTeams(standingsData);
+  historyTeam = preferences.favoriteTeams[0] || teams[0]?.teamAbbr || Object.keys(TEAM_COLORS).sort()[0];
+  historyPanelVisible = true;
+  renderHistoryPanel();
+  historyPanel.scrollTo(0);
+  historyPanel.show();
+  historyPanel.setFront();
+  historyPanel.focus();
+  screen.render();
+}
+
+function hideHistoryPanel() {
+  if (!historyPanelVisible) return;
+  historyPanelVisible = false;
+  historyPanel.hide();
+  standingsContent.focus();
+  screen.render();
+}
+
+function renderPlayoffsView() {
+  const teams = getStandingsTeams(standingsData);
+  const inPostseason = postseasonGames.some(game => String(game.gameId).startsWith('004') && game.gameStatus !== 1);
+
+  header.setContent(`{center}${inPostseason ? 'NBA Playoffs' : 'NBA Playoff Picture'} - ${formatSeasonLabel(getSeasonYear())} Season{/center}`);
+
+  if (selectedSeason) {
+    playoffsContent.setContent('\n{center}{gray-fg}The playoff picture is only available for the current season. Press t to return to it.{/gray-fg}{/center}');
+    screen.render();
+    return;
   }
-});
 
-gameList.key(['space', 'enter'], () => {
-  const selectedIndex = gameList.selected;
-  const gameIndex = selectedIndex - 2; // Offset for header rows (header + separator)
-  if (gameIndex >= 0 && currentGames[gameIndex]) {
-    showDetailView(currentGames[gameIndex]);
+  if (teams.length === 0) {
+    playoffsContent.setContent(`\n{center}{red-fg}${standingsData ? 'No standings data available' : 'Loading standings...'}{/red-fg}{/center}`);
+    screen.render();
+    return;
   }
-});
 
-boxScoreBox.key(['escape', 'q'], () => {
-  showListView();
-});
+  const east = rankConference('East', teams, standingsGames).seeds;
+  const west = rankConference('West', teams, standingsGames).seeds;
+  const seedOf = new Map();
+  east.forEach((team, i) => seedOf.set(team.teamAbbr, i));
+  west.forEach((team, i) => seedOf.set(team.teamAbbr, i));
+
+  // Live scoreboard entries carry the freshest series text
+  const liveGames = new Map((scoresData?.scoreboard?.games || []).map(game => [game.gameId, game]));
+  const games = postseasonGames.map(game => liveGames.get(game.gameId) || game);
+  // Once the bracket is set, seeds come from the first-round matchups rather than the standings
+  for (const [abbr, seed] of getPlayoffSeeds(games, seedOf)) seedOf.set(abbr, seed - 1);
+  const series = buildPlayoffSeries(games, seedOf);
+
+  const columnWidth = 22;
+  const roundNames = ['FIRST ROUND', 'CONF. SEMIFINALS', 'CONF. FINALS'];
+  const leftPad = Math.max(0, Math.floor((screen.width - columnWidth * 3) / 2));
+  const pad = ' '.repeat(leftPad);
 
-gameFlowBox.key(['escape', 'q'], () => {
-  showListView();
-});
+  let content = '\n';
+  for (const [conference, seeds] of [['East', east], ['West', west]]) {
+    const rounds = inPostseason
+      ? buildPostseasonRounds(series.filter(s => s.conference === conference), seedOf)
+      : buildProjectedRounds(seeds);
+
+    content += `${pad}{bold}{cyan-fg}${conference === 'East' ? 'EASTERN' : 'WESTERN'} CONFERENCE{/cyan-fg}{/bold}${inPostseason ? '' : '  {gray-fg}(projected from current standings){/gray-fg}'}\n`;
+    content += `${pad}{gray-fg}${roundNames.map(name => name.padEnd(columnWidth)).join('')}{/gray-fg}\n`;
+    content += drawBracket(rounds, columnWidth).map(line => `${pad}${line}`).join('\n') + '\n';
+
+    // Play-in: results once played, otherwise the projected 7-8 and 9-10 games
+    const playIns = games.filter(game => String(game.gameId).startsWith('005') && getTeamConference(game.homeTeam?.teamTricode) === conference);
+    content += `${pad}{bold}Play-In{/bold}  `;
+    if (playIns.length > 0) {
+      content += playIns.map(game => {
+        const away = game.awayTeam;
+        const home = game.homeTeam;
+        if (game.gameStatus === 1) return `${away.teamTricode} @ ${home.teamTricode}`;
+        return `${away.teamTricode} ${away.score} - ${home.score} ${home.teamTricode}${game.gameStatus === 3 ? '' : ' (live)'}`;
+      }).join('  |  ');
+    } else if (seeds.length >= 10) {
+      const seedLabel = (seed) => `(${seed}) ${seeds[seed - 1].teamAbbr}`;
+      content += `${seedLabel(7)} vs ${seedLabel(8)}  |  ${seedLabel(9)} vs ${seedLabel(10)}  {gray-fg}7-8 winner is the 7 seed; loser plays the 9-10 winner for the 8 seed{/gray-fg}`;
+    }
+    content += '\n\n';
+  }
 
-// Click to focus sections
-gameFlowBox.on('click', () => {
-  if (detailFocus !== 'gameFlow') {
-    detailFocus = 'gameFlow';
-    updateDetailFocus();
+  // Finals
+  const finals = series.find(s => s.round === 4);
+  content += `${pad}{bold}{cyan-fg}NBA FINALS{/cyan-fg}{/bold}\n`;
+  if (finals) {
+    const [top, bottom] = finals.teams.map(abbr => ({ abbr, seed: null, wins: finals.wins[abbr] || 0 }));
+    content += `${pad}${formatBracketTeam(top, bottom, columnWidth)}\n${pad}${formatBracketTeam(bottom, top, columnWidth)}\n`;
+    if (finals.seriesText) content += `${pad}{gray-fg}${finals.seriesText}{/gray-fg}\n`;
+  } else if (inPostseason) {
+    content += `${pad}{gray-fg}East champion vs West champion{/gray-fg}\n`;
+  } else if (east[0] && west[0]) {
+    content += `${pad}{gray-fg}Top seeds today: ${east[0].teamAbbr} (East) vs ${west[0].teamAbbr} (West){/gray-fg}\n`;
   }
-});
 
-boxScoreBox.on('click', () => {
-  if (detailFocus !== 'boxScore') {
-    detailFocus = 'boxScore';
-    updateDetailFocus();
+  playoffsContent.setContent(content);
+  screen.render();
+}
+
+// Transaction types, most specific first: a two-way deal is also "Signed"
+const TRANSACTION_TYPES = [
+  { id: 'gLeague', name: 'G League', color: 'blue', filter: true, match: desc => /G League|G-League/i.test(desc) },
+  { id: 'twoWay', name: 'Two-way', color: 'magenta', filter: true, match: desc => /two-way/i.test(desc) },
+  { id: 'trade', name: 'Trades', color: 'yellow', filter: true, match: desc => /Acquired|Traded/.test(desc) },
+  { id: 'waiver', name: 'Waivers', color: 'red', filter: true, match: desc => /Waived|Released/.test(desc) },
+  { id: 'signing', name: 'Signings', color: 'green', filter: true, match: desc => /Signed|Re-signed/.test(desc) },
+  { id: 'other', name: 'Other', color: 'white', filter: false, match: () => true }
+];
+
+function getTransactionType(desc) {
+  return TRANSACTION_TYPES.find(type => type.match(desc || ''));
+}
+
+function filterTransactions(transactions, filters) {
+  const team = filters.team.toLowerCase();
+  const teamAbbr = normalizeTeamAbbr(filters.team.toUpperCase());
+  const text = filters.text.toLowerCase();
+
+  return transactions.filter(tx => {
+    if (filters.type && getTransactionType(tx.description).id !== filters.type) return false;
+    if (team) {
+      const abbr = normalizeTeamAbbr(tx.team?.abbreviation || '');
+      const name = (tx.team?.displayName || '').toLowerCase();
+      if (abbr !== teamAbbr && !name.includes(team)) return false;
+    }
+    if (text) {
+      const haystack = [tx.description, tx.team?.displayName, tx.team?.abbreviation].filter(Boolean).join(' ').toLowerCase();
+      if (!haystack.includes(text)) return false;
+    }
+    return true;
+  });
+}
+
+const CONTRACT_KINDS = [
+  { id: 'twoWay', name: 'two-way', pattern: /two-way/i },
+  { id: 'tenDay', name: '10-day', pattern: /10-day/i },
+  { id: 'restOfSeason', name: 'rest of season', pattern: /rest of (?:the )?season/i }
+];
+
+// Position abbreviation followed by a capitalized name: "G John Smith", "F-C Karl-Anthony Towns", "G Kelly Oubre Jr."
+const TRANSACTION_PLAYER_PATTERN = /\b(PG|SG|SF|PF|G-F|F-G|F-C|C-F|G|F|C) (?!League\b)(\p{Lu}[\p{L}'’.-]*(?: (?!League\b)\p{Lu}[\p{L}'’.-]*)*)/gu;
+const TRANSACTION_PICK_PATTERN = /(?:(\d{4})|future) (first|second|1st|2nd)[- ]round(?: draft)? picks?/gi;
+
+// "Acquired A from the X [and B from the Y] [for C]" / "Traded A to the X [and B to the Y] [for C]"
+const TRADE_FORMS = [
+  { verb: 'Acquired', preposition: 'from', legs: 'received', exchange: 'sent' },
+  { verb: 'Traded', preposition: 'to', legs: 'sent', exchange: 'received' }
+];
+const TRADE_SUFFIX_PATTERN = /(?:,? (?:as part of|in) an? [\w-]+ (?:trade|deal))?\.?$/i;
+// A team name is a run of capitalized words ("Portland Trail Blazers", "LA Clippers", "Philadelphia 76ers")
+const TEAM_NAME_PATTERN = String.raw`(?:\p{Lu}[\p{L}.]*|\d+ers)(?: (?:\p{Lu}[\p{L}.]*|\d+ers))*`;
+
+function cleanPlayerName(name) {
+  const words = name.replace(/['’]s$/, '').split(' ');
+  const last = words[words.length - 1];
+  // A trailing period ends the sentence unless it belongs to a suffix or an initial
+  if (last.endsWith('.') && !/^(?:Jr|Sr|\p{Lu})\.$/u.test(last)) {
+    words[words.length - 1] = last.slice(0, -1);
   }
-});
+  return words.join(' ');
+}
 
-// Click to focus transaction panels
-transactionsLeftPanel.on('click', () => {
-  if (!transactionsFocusLeft) {
-    transactionsFocusLeft = true;
-    updateTransactionsPanelFocus();
+function parseTransactionAssets(text) {
+  const players = [...(text || '').matchAll(TRANSACTION_PLAYER_PATTERN)]
+    .map(match => ({ position: match[1], name: cleanPlayerName(match[2]) }));
+  const picks = [...(text || '').matchAll(TRANSACTION_PICK_PATTERN)]
+    .map(match => ({ year: match[1] ? parseInt(match[1]) : null, round: /^(?:first|1st)$/i.test(match[2]) ? 1 : 2 }));
+  return { players, picks, cash: /cash considerations/i.test(text || '') };
+}
+
+function mergeTradeAssets(list) {
+  return {
+    players: list.flatMap(assets => assets.players),
+    picks: list.flatMap(assets => assets.picks),
+    cash: list.some(assets => assets.cash)
+  };
+}
+
+// Team names as written in descriptions vary ("LA Clippers", "Los Angeles Clippers"); nicknames don't repeat
+function getTeamNickname(teamName) {
+  return (teamName || '').trim().toLowerCase().split(' ').pop();
+}
+
+function isSameTeamName(name, teamName) {
+  return Boolean(name && teamName) && getTeamNickname(name) === getTeamNickname(teamName);
+}
+
+// A whole-word, capitalized nickname, so ordinary words like "heat" or "magic" don't count
+function mentionsTeamName(text, teamName) {
+  const nickname = (teamName || '').trim().split(' ').pop();
+  return Boolean(nickname) && new RegExp(`\\b${nickname}\\b`).test(text || '');
+}
+
+/**
+ * Split a trade description into legs: [{ direction: 'received' | 'sent', partner, assets }].
+ * Each "… from the X" (or "… to the X") clause is one leg with X as its partner; the "for …" part is
+ * the other direction, and its partner is only known when the deal has a single partner.
+ */
+function parseTradeLegs(description) {
+  const text = description.replace(TRADE_SUFFIX_PATTERN, '');
+  const form = TRADE_FORMS.find(f => text.startsWith(`${f.verb} `));
+  if (!form) return [];
+
+  const [, legsText, exchangeText] = text.slice(form.verb.length + 1).match(/^(.*?)(?: (?:in exchange for|for) (.+))?$/);
+  const legPattern = new RegExp(`(.+?) ${form.preposition} (?:the )?(${TEAM_NAME_PATTERN})(?:,? and |, |$)`, 'gyu');
+  let legs = [];
+  let parsedLength = 0;
+  let match;
+  while ((match = legPattern.exec(legsText)) !== null) {
+    legs.push({ direction: form.legs, partner: match[2], assets: parseTransactionAssets(match[1].replace(/^and /, '')) });
+    parsedLength = legPattern.lastIndex;
+  }
+  // Clauses that don't read as "… from the X" keep their assets, just without a partner
+  if (legs.length === 0 || parsedLength < legsText.length) {
+    legs = [{ direction: form.legs, partner: null, assets: parseTransactionAssets(legsText) }];
   }
-});
 
-transactionsRightPanel.on('click', () => {
-  if (transactionsFocusLeft) {
-    transactionsFocusLeft = false;
-    updateTransactionsPanelFocus();
+  if (exchangeText) {
+    const partners = [...new Set(legs.map(leg => leg.partner).filter(Boolean))];
+    legs.push({ direction: form.exchange, partner: partners.length === 1 ? partners[0] : null, assets: parseTransactionAssets(exchangeText) });
   }
-});
+  return legs;
+}
+
+function parseTransaction(tx) {
+  const description = tx.description || '';
+  const parsed = {
+    tx,
+    description,
+    dateKey: (tx.date || '').split('T')[0],
+    teamAbbr: normalizeTeamAbbr(tx.team?.abbreviation || ''),
+    teamName: tx.team?.displayName || '',
+    type: getTransactionType(description).id,
+    contract: CONTRACT_KINDS.find(kind => kind.pattern.test(description))?.id || null,
+    ...parseTransactionAssets(description),
+    legs: [],
+    partners: [],
+    received: null,
+    sent: null
+  };
+
+  if (parsed.type === 'trade') {
+    parsed.legs = parseTradeLegs(description);
+    parsed.partners = [...new Set(parsed.legs.map(leg => leg.partner).filter(Boolean))];
+    parsed.received = mergeTradeAssets(parsed.legs.filter(leg => leg.direction === 'received').map(leg => leg.assets));
+    parsed.sent = mergeTradeAssets(parsed.legs.filter(leg => leg.direction === 'sent').map(leg => leg.assets));
+  }
+
+  return parsed;
+}
+
+function tradeLegNames(leg, row) {
+  return !leg.partner || isSameTeamName(leg.partner, row.teamName);
+}
+
+// Two rows are the same deal when each names the other as a partner, or when players one side
+// received are exactly the players the other side sent
+function isSameTrade(a, b) {
+  const names = (row, other) => row.partners.some(partner => isSameTeamName(partner, other.teamName));
+  if (names(a, b) && names(b, a)) return true;
+
+  const playerKey = assets => assets.players.map(player => normalizePlayerName(player.name)).sort().join('|');
+  return a.legs.some(legA => legA.assets.players.length > 0 && tradeLegNames(legA, b) &&
+    b.legs.some(legB => legB.direction !== legA.direction && tradeLegNames(legB, a) &&
+      playerKey(legA.assets) === playerKey(legB.assets)));
+}
 
-// Function to update detail view focus and highlight
-function updateDetailFocus() {
-  if (detailFocus === 'gameFlow') {
-    gameFlowBox.style.border.fg = 'yellow';
-    boxScoreBox.style.border.fg = 'cyan';
-    gameFlowBox.focus();
-  } else {
-    gameFlowBox.style.border.fg = 'cyan';
-    boxScoreBox.style.border.fg = 'yellow';
-    boxScoreBox.focus();
+// Same-day trade rows grouped into deals. A team never appears twice in one card, so two deals
+// that share a team on deadline day stay apart.
+function linkTrades(parsed) {
+  const rows = parsed.filter(row => row.type === 'trade');
+  const groupOf = new Map(rows.map(row => [row, [row]]));
+
+  for (let i = 0; i < rows.length; i++) {
+    for (let j = i + 1; j < rows.length; j++) {
+      const a = rows[i];
+      const b = rows[j];
+      if (a.dateKey !== b.dateKey || a.teamAbbr === b.teamAbbr) continue;
+      const groupA = groupOf.get(a);
+      const groupB = groupOf.get(b);
+      if (groupA === groupB || !isSameTrade(a, b)) continue;
+      if (groupB.some(row => groupA.some(other => other.teamAbbr === row.teamAbbr))) continue;
+      groupA.push(...groupB);
+      groupB.forEach(row => groupOf.set(row, groupA));
+    }
   }
-  updateDetailFooter();
-  screen.render();
+
+  const keys = new Map();
+  return [...new Set(groupOf.values())].map(group => {
+    group.sort((a, b) => rows.indexOf(a) - rows.indexOf(b));
+    const base = `${group[0].dateKey}:${group.map(row => row.teamAbbr).sort().join('-')}`;
+    keys.set(base, (keys.get(base) || 0) + 1);
+    return { key: keys.get(base) > 1 ? `${base}#${keys.get(base)}` : base, rows: group };
+  });
 }
 
-function updateDetailFooter() {
-  const section = detailFocus === 'gameFlow' ? 'Game Flow' : 'Box Score';
-  detailFooter.setContent(`{center}{green-fg}●{/green-fg} {yellow-fg}[${section}]{/yellow-fg} | jk/↑↓ scroll | Tab switch section | q/Esc back{/center}`);
+// What each team got and gave up; a side its own row leaves blank is filled in from the legs
+// of its partners' rows that name it
+function getTradeSides(trade) {
+  const empty = assets => !assets || (assets.players.length === 0 && assets.picks.length === 0 && !assets.cash);
+  const fromPartners = (row, direction) => mergeTradeAssets(trade.rows
+    .filter(other => other !== row)
+    .flatMap(other => other.legs.filter(leg => leg.direction === direction && leg.partner && isSameTeamName(leg.partner, row.teamName)))
+    .map(leg => leg.assets));
+
+  return trade.rows.map(row => ({
+    teamAbbr: row.teamAbbr,
+    received: empty(row.received) ? fromPartners(row, 'sent') : row.received,
+    sent: empty(row.sent) ? fromPartners(row, 'received') : row.sent
+  }));
 }
 
-// Tab to switch focus between sections
-screen.key(['tab'], () => {
-  if (detailView) {
-    detailFocus = detailFocus === 'gameFlow' ? 'boxScore' : 'gameFlow';
-    updateDetailFocus();
-  } else if (mainView === 'tradeNews') {
-    transactionsFocusLeft = !transactionsFocusLeft;
-    updateTransactionsPanelFocus();
-  }
-});
+function formatDraftPick(pick) {
+  return `${pick.year || 'Future'} ${pick.round === 1 ? '1st' : '2nd'}-round pick`;
+}
 
-screen.key(['1'], () => {
-  if (confirmVisible || detailView) return;
-  mainView = 'scores';
-  updateMenu();
-  renderCurrentView();
-});
+function formatTradeAssets(assets) {
+  const parts = [
+    ...assets.players.map(player => `${player.position} ${player.name}`),
+    ...assets.picks.map(formatDraftPick),
+    ...(assets.cash ? ['cash considerations'] : [])
+  ];
+  return parts.length > 0 ? parts.join(', ') : '{gray-fg}—{/gray-fg}';
+}
 
-screen.key(['left', 'h'], () => {
-  if (confirmVisible || detailView) return;
-  if (mainView === 'standings') {
-    mainView = 'scores';
-  } else if (mainView === 'tradeNews') {
-    mainView = 'standings';
+// Non-trade rows: the contract kind as a tag in front, and each parsed player underlined
+function formatTransactionRow(row) {
+  let text = row.description;
+  for (const player of row.players) {
+    const mention = `${player.position} ${player.name}`;
+    text = text.replace(mention, () => `{underline}${mention}{/underline}`);
   }
-  updateMenu();
-  renderCurrentView();
-});
+  const contract = CONTRACT_KINDS.find(kind => kind.id === row.contract);
+  return contract ? `{inverse} ${contract.name} {/inverse} ${text}` : text;
+}
 
-screen.key(['2'], () => {
-  if (confirmVisible || detailView) return;
-  mainView = 'standings';
-  updateMenu();
-  renderCurrentView();
-});
+// One-line summary of a collapsed trade card: players moved, plus counts of picks and cash
+function summarizeTrade(trade) {
+  const players = [...new Set(trade.rows.flatMap(row => row.players.map(player => player.name)))];
+  const picks = new Set(trade.rows.flatMap(row => row.picks.map(formatDraftPick))).size;
+  const parts = [players.join(', ')];
+  if (picks > 0) parts.push(`${picks} pick${picks === 1 ? '' : 's'}`);
+  if (trade.rows.some(row => row.cash)) parts.push('cash');
+  return parts.filter(Boolean).join(' + ');
+}
 
-screen.key(['3'], () => {
-  if (confirmVisible || detailView) return;
-  mainView = 'tradeNews';
-  updateMenu();
-  renderCurrentView();
-});
+function moveTradeCardSelection(step) {
+  if (tradeCardKeys.length === 0) return;
+  const index = tradeCardKeys.indexOf(selectedTradeCard);
+  const next = index === -1 ? (step > 0 ? 0 : tradeCardKeys.length - 1) : Math.max(0, Math.min(tradeCardKeys.length - 1, index + step));
+  selectedTradeCard = tradeCardKeys[next];
+  renderTradeNewsView();
+  transactionsLeftPanel.scrollTo(tradeCardLines.get(selectedTradeCard) || 0);
+  screen.render();
+}
 
-screen.key(['right', 'l'], () => {
-  if (confirmVisible || detailView) return;
-  if (mainView === 'scores') {
-    mainView = 'standings';
-  } else if (mainView === 'standings') {
-    mainView = 'tradeNews';
+function renderTradeNewsView() {
+  const data = tradeNewsData;
+
+  const season = (!selectedSeason && data?.season?.displayName) || formatSeasonLabel(getSeasonYear());
+  const range = getTransactionsRange();
+  const windowName = preferences.transactions.window === 'custom'
+    ? `${range.start} to ${range.end}`
+    : `${TRANSACTION_WINDOWS.find(w => w.id === preferences.transactions.window).name}, since ${range.start}`;
+  header.setContent(`{center}NBA Transactions - ${season} Season (${windowName}){/center}`);
+
+  const allTransactions = data?.transactions || [];
+  const transactions = filterTransactions(allTransactions, transactionsFilters);
+  const activeFilters = [
+    transactionsFilters.team ? transactionsFilters.team.toUpperCase() : null,
+    TRANSACTION_TYPES.find(t => t.id === transactionsFilters.type)?.name,
+    transactionsFilters.text ? `"${transactionsFilters.text}"` : null
+  ].filter(Boolean);
+  transactionsLeftPanel.setLabel(activeFilters.length > 0
+    ? ` Transactions (${activeFilters.join(' · ')} · ${transactions.length} of ${allTransactions.length}) `
+    : ' Transactions ');
+
+  if (!data) {
+    transactionsLeftPanel.setContent('\n{center}{red-fg}Loading transactions...{/red-fg}{/center}');
+    screen.render();
+    return;
   }
-  updateMenu();
-  renderCurrentView();
-});
 
-// Search input submit handler
-searchInput.on('submit', async (value) => {
-  if (value && value.length >= 2) {
-    // Show loading status
-    searchResultsList.setItems(['{yellow-fg}Searching...{/yellow-fg}']);
+  if (allTransactions.length === 0) {
+    transactionsLeftPanel.setContent('\n{center}{gray-fg}No transactions in this window (w to change it){/gray-fg}{/center}');
+    screen.render();
+    return;
+  }
+
+  if (transactions.length === 0) {
+    const more = transactionsPaging.done ? '' : ', o to load older ones';
+    transactionsLeftPanel.setContent(`\n{center}{gray-fg}No transactions match the filters (c to clear${more}){/gray-fg}{/center}`);
     screen.render();
+    return;
+  }
 
-    searchResults = await searchPlayers(value);
+  const pad = ' ';
+  const shown = new Set(transactions);
+  const parsed = allTransactions.map(parseTransaction);
+  const tradeOf = new Map();
+  for (const trade of linkTrades(parsed)) {
+    trade.rows.forEach(row => tradeOf.set(row, trade));
+  }
 
-    if (searchResults.length === 0) {
-      searchResultsList.setItems(['{gray-fg}No players found{/gray-fg}']);
+  // Group by date; a trade is listed once, where its first row appears, if any of its rows pass the filters
+  const entriesByDate = new Map();
+  const listedTrades = new Set();
+  for (const row of parsed) {
+    const trade = tradeOf.get(row);
+    let entry = null;
+    if (trade) {
+      if (listedTrades.has(trade) || !trade.rows.some(r => shown.has(r.tx))) continue;
+      listedTrades.add(trade);
+      entry = { trade };
+    } else if (shown.has(row.tx)) {
+      entry = { row };
     } else {
-      renderSubscriptionPanel();
-      searchResultsList.focus();
-      searchResultsList.select(0);
+      continue;
     }
-    screen.render();
+
+    if (!entriesByDate.has(row.dateKey)) {
+      entriesByDate.set(row.dateKey, []);
+    }
+    entriesByDate.get(row.dateKey).push(entry);
   }
-});
 
-// Search input cancel
-searchInput.key(['escape'], () => {
-  searchInput.clearValue();
-  transactionsFocusLeft = true;
-  updateTransactionsPanelFocus();
-});
+  let content = '\n';
+  tradeCardKeys = [];
+  tradeCardLines = new Map();
 
-// Search results - select player to subscribe
-searchResultsList.on('select', (item, index) => {
-  if (searchResults[index]) {
-    const player = searchResults[index];
-    if (addSubscription(player)) {
-      renderSubscriptionPanel();
-      // Send mock notification to preview
-      notifier.notify({
-        title: 'Player Subscribed',
-        message: `You will be notified when ${player.name} appears in transactions.`,
-        sound: true
-      });
+  // Sort dates descending (most recent first)
+  const sortedDates = Array.from(entriesByDate.keys()).sort((a, b) => b.localeCompare(a));
+
+  for (const dateKey of sortedDates) {
+    const date = new Date(dateKey + 'T12:00:00Z');
+    const dateStr = date.toLocaleDateString('en-US', {
+      weekday: 'long',
+      month: 'long',
+      day: 'numeric'
+    });
+
+    content += `${pad}{bold}{white-fg}${dateStr}{/white-fg}{/bold}\n`;
+    content += `${pad}{gray-fg}${'─'.repeat(60)}{/gray-fg}\n`;
+
+    for (const entry of entriesByDate.get(dateKey)) {
+      if (entry.trade) {
+        tradeCardKeys.push(entry.trade.key);
+        tradeCardLines.set(entry.trade.key, content.split('\n').length - 1);
+        content += renderTradeCard(entry.trade, pad);
+        continue;
+      }
+
+      // Color code by transaction type
+      const { row } = entry;
+      const { color } = getTransactionType(row.description);
+      const typeColor = `{${color}-fg}`;
+      const typeEnd = `{/${color}-fg}`;
+
+      const text = formatTransactionRow(row);
+      if (isFavoriteTeam(row.teamAbbr)) {
+        content += `${pad}{yellow-fg}★{/yellow-fg} {bold}{cyan-fg}${row.teamAbbr.padEnd(4)}{/cyan-fg} ${typeColor}${text}${typeEnd}{/bold}\n`;
+      } else {
+        content += `${pad}  {cyan-fg}${row.teamAbbr.padEnd(4)}{/cyan-fg} ${typeColor}${text}${typeEnd}\n`;
+      }
     }
+
+    content += '\n';
   }
-});
 
-searchResultsList.key(['escape'], () => {
-  searchInput.focus();
-});
+  if (transactionsPaging.loading) {
+    content += `${pad}{yellow-fg}Loading older transactions...{/yellow-fg}\n`;
+  } else if (transactionsPaging.done) {
+    content += `${pad}{gray-fg}No older transactions since ${range.start}{/gray-fg}\n`;
+  } else {
+    content += `${pad}{gray-fg}Scroll to the bottom or press o for older transactions{/gray-fg}\n`;
+  }
 
-// Subscribed list - remove player
-subscribedList.on('select', (item, index) => {
-  if (subscribedPlayers[index]) {
-    removeSubscription(subscribedPlayers[index].id);
-    renderSubscriptionPanel();
+  transactionsLeftPanel.setContent(content);
+  screen.render();
+}
+
+function renderTradeCard(trade, pad) {
+  const teams = trade.rows.map(row => row.teamAbbr);
+  const expanded = expandedTrades.has(trade.key);
+  const selected = selectedTradeCard === trade.key;
+  const star = teams.some(isFavoriteTeam) ? '{yellow-fg}★{/yellow-fg} ' : '  ';
+  const label = `${expanded ? '▾' : '▸'} ${teams.length >= 3 ? `${teams.length}-team trade` : 'Trade'}`;
+  const title = selected ? `{black-fg}{yellow-bg}${label}{/yellow-bg}{/black-fg}` : `{bold}{yellow-fg}${label}{/yellow-fg}{/bold}`;
+
+  let content = `${pad}${star}${title} {cyan-fg}${teams.join(' · ')}{/cyan-fg}`;
+  if (!expanded) {
+    return `${content}  {yellow-fg}${summarizeTrade(trade)}{/yellow-fg}\n`;
   }
-});
 
-subscribedList.key(['escape', 'd', 'backspace'], () => {
-  const index = subscribedList.selected;
-  if (subscribedPlayers[index]) {
-    removeSubscription(subscribedPlayers[index].id);
-    renderSubscriptionPanel();
+  content += '\n';
+  for (const side of getTradeSides(trade)) {
+    content += `${pad}     {cyan-fg}${side.teamAbbr.padEnd(4)}{/cyan-fg} {green-fg}gets {/green-fg} ${formatTradeAssets(side.received)}\n`;
+    content += `${pad}          {red-fg}sends{/red-fg} ${formatTradeAssets(side.sent)}\n`;
   }
-});
+  return content;
+}
 
-subscribedList.key(['tab'], () => {
-  searchInput.focus();
-});
+function renderSubscriptionPanel() {
+  // Update subscribed players list
+  if (subscribedPlayers.length === 0) {
+    subscribedList.setItems(['{gray-fg}No players or teams subscribed{/gray-fg}', '{gray-fg}Search below to add{/gray-fg}']);
+  } else {
+    const items = subscribedPlayers.map(p => (isTeamSubscription(p)
+      ? `{cyan-fg}${p.teamAbbr}{/cyan-fg} ${p.name} ${p.gameAlerts ? '{green-fg}[games]{/green-fg}' : '{gray-fg}g: games{/gray-fg}'}`
+      : `{yellow-fg}${p.name}{/yellow-fg}`));
+    subscribedList.setItems(items);
+  }
 
-function updateMenu() {
-  const scoresStyle = mainView === 'scores' ? '{bold}{white-bg}{black-fg}' : '{white-fg}';
-  const scoresEnd = mainView === 'scores' ? '{/black-fg}{/white-bg}{/bold}' : '{/white-fg}';
-  const standingsStyle = mainView === 'standings' ? '{bold}{white-bg}{black-fg}' : '{white-fg}';
-  const standingsEnd = mainView === 'standings' ? '{/black-fg}{/white-bg}{/bold}' : '{/white-fg}';
-  const newsStyle = mainView === 'tradeNews' ? '{bold}{white-bg}{black-fg}' : '{white-fg}';
-  const newsEnd = mainView === 'tradeNews' ? '{/black-fg}{/white-bg}{/bold}' : '{/white-fg}';
+  // Update search results
+  if (searchResults.length === 0) {
+    searchResultsList.setItems(['{gray-fg}Type to search players{/gray-fg}']);
+  } else {
+    const items = searchResults.map(p => {
+      const subscribed = subscribedPlayers.find(s => s.id === p.id);
+      const name = isTeamSubscription(p) ? `{cyan-fg}${p.teamAbbr}{/cyan-fg} ${p.name}` : p.name;
+      return subscribed ? `{green-fg}✓{/green-fg} ${name}` : `  ${name}`;
+    });
+    searchResultsList.setItems(items);
+  }
+
+  // Update notification history, newest first
+  const unread = notificationHistory.history.filter(entry => !entry.read).length;
+  notificationsList.setLabel(unread > 0 ? ` Notifications (${unread} new, m mark seen) ` : ' Notifications ');
+  if (notificationHistory.history.length === 0) {
+    notificationsList.setItems(['{gray-fg}No alerts yet{/gray-fg}']);
+  } else {
+    notificationsList.setItems(notificationHistory.history.map(entry => {
+      const date = entry.key.split('|')[0].slice(5);
+      const marker = entry.read ? ' ' : '{yellow-fg}●{/yellow-fg}';
+      const possible = entry.ambiguous ? ' {gray-fg}(same name?){/gray-fg}' : '';
+      return `${marker} {gray-fg}${date}{/gray-fg} {cyan-fg}${entry.teamAbbr}{/cyan-fg} ${entry.subject}${possible}`;
+    }));
+  }
 
-  menuBar.setContent(` ${scoresStyle} [1] Scores ${scoresEnd}  ${standingsStyle} [2] Standings ${standingsEnd}  ${newsStyle} [3] Transactions ${newsEnd}`);
   screen.render();
 }
 
-async function fetchScores() {
-  try {
-    const response = await fetch(NBA_API_URL);
-    if (!response.ok) throw new Error(`HTTP error: ${response.status}`);
-    return await response.json();
-  } catch (error) {
-    return null;
+function updateTransactionsPanelFocus(rightWidget = searchInput) {
+  if (transactionsFocusLeft) {
+    transactionsLeftPanel.style.border.fg = 'yellow';
+    transactionsRightPanel.style.border.fg = 'gray';
+    transactionsLeftPanel.focus();
+  } else {
+    transactionsLeftPanel.style.border.fg = 'cyan';
+    transactionsRightPanel.style.border.fg = 'yellow';
+    rightWidget.focus();
   }
+  screen.render();
 }
 
-async function fetchBoxScore(gameId) {
-  try {
-    const url = BOXSCORE_URL.replace('GAMEID', gameId);
-    const response = await fetch(url);
-    if (!response.ok) throw new Error(`HTTP error: ${response.status}`);
-    return await response.json();
-  } catch (error) {
-    return null;
+// Tab: transactions, player search, then the watch list's lists top to bottom and back to transactions
+function cycleTransactionsFocus() {
+  const order = [transactionsLeftPanel, searchInput, subscribedList, searchResultsList, notificationsList];
+  const next = order[(order.indexOf(screen.focused) + 1) % order.length];
+  transactionsFocusLeft = next === transactionsLeftPanel;
+  updateTransactionsPanelFocus(next);
+}
+
+const RUN_MIN_MARGIN = 10; // A run outscores the opponent by at least this much...
+const RUN_MAX_ALLOWED = 4; // ...while allowing no more than this (10-0, 12-2, 14-4)
+
+// Score changes from the play-by-play, one event per team that scored
+function getScoringEvents(actions) {
+  const events = [];
+  let prevHome = 0, prevAway = 0;
+  for (const action of actions || []) {
+    if (action.scoreHome === undefined || action.scoreAway === undefined) continue;
+    const home = parseInt(action.scoreHome) || 0;
+    const away = parseInt(action.scoreAway) || 0;
+    const before = { home: prevHome, away: prevAway };
+    if (home > prevHome) events.push({ side: 'home', points: home - prevHome, action, before, after: { home, away } });
+    if (away > prevAway) events.push({ side: 'away', points: away - prevAway, action, before, after: { home, away } });
+    prevHome = home;
+    prevAway = away;
   }
+  return events;
 }
 
-async function fetchPlayByPlay(gameId) {
-  try {
-    const url = PLAYBYPLAY_URL.replace('GAMEID', gameId);
-    const response = await fetch(url);
-    if (!response.ok) throw new Error(`HTTP error: ${response.status}`);
-    return await response.json();
-  } catch (error) {
-    return null;
+/**
+ * Find scoring runs: stretches that start and end with the same team scoring, where it
+ * outscores the opponent by RUN_MIN_MARGIN+ while allowing at most RUN_MAX_ALLOWED.
+ * Overlapping candidates keep the biggest run. Returned in game order.
+ */
+function detectScoringRuns(actions, minMargin = RUN_MIN_MARGIN, maxAllowed = RUN_MAX_ALLOWED) {
+  const events = getScoringEvents(actions);
+  const candidates = [];
+
+  for (let i = 0; i < events.length; i++) {
+    const side = events[i].side;
+    let points = 0, allowed = 0, best = null;
+    for (let j = i; j < events.length; j++) {
+      if (events[j].side === side) points += events[j].points;
+      else allowed += events[j].points;
+      if (allowed > maxAllowed) break;
+      if (events[j].side === side && points - allowed >= minMargin && (!best || points - allowed > best.points - best.allowed)) {
+        best = { side, points, allowed, startIndex: i, endIndex: j };
+      }
+    }
+    if (best) candidates.push(best);
   }
+
+  candidates.sort((a, b) => (b.points - b.allowed) - (a.points - a.allowed) || a.startIndex - b.startIndex);
+  const runs = [];
+  for (const candidate of candidates) {
+    if (runs.some(r => candidate.startIndex <= r.endIndex && candidate.endIndex >= r.startIndex)) continue;
+    runs.push(candidate);
+  }
+
+  return runs
+    .sort((a, b) => a.startIndex - b.startIndex)
+    .map(r => ({
+      side: r.side,
+      points: r.points,
+      allowed: r.allowed,
+      start: events[r.startIndex].action,
+      end: events[r.endIndex].action,
+      before: events[r.startIndex].before,
+      after: events[r.endIndex].after
+    }));
+}
+
+// Largest lead each team held, and when it first reached it
+function findLargestLeads(actions) {
+  const leads = { home: { lead: 0, action: null }, away: { lead: 0, action: null } };
+  for (const action of actions || []) {
+    if (action.scoreHome === undefined || action.scoreAway === undefined) continue;
+    const diff = (parseInt(action.scoreHome) || 0) - (parseInt(action.scoreAway) || 0);
+    if (diff > leads.home.lead) leads.home = { lead: diff, action };
+    if (-diff > leads.away.lead) leads.away = { lead: -diff, action };
+  }
+  return leads;
+}
+
+// Game minutes elapsed at an action, on the same scale the flow chart plots
+function getActionElapsedMinutes(action) {
+  const { minutes, seconds } = parseGameClock(action.clock || 'PT12M00.00S');
+  return ((action.period || 1) - 1) * 12 + 12 - minutes - seconds / 60;
+}
+
+function getPeriodSeconds(period) {
+  return period <= 4 ? 720 : 300;
+}
+
+// 0-1 position of an action within its period, for the zoomed chart
+function getActionPeriodFraction(action) {
+  const { minutes, seconds } = parseGameClock(action.clock);
+  const periodSeconds = getPeriodSeconds(action.period);
+  return Math.max(0, Math.min(1, (periodSeconds - minutes * 60 - seconds) / periodSeconds));
 }
 
-async function fetchStandings() {
-  try {
-    const response = await fetch(ESPN_STANDINGS_URL);
-    if (!response.ok) throw new Error(`HTTP error: ${response.status}`);
-    return await response.json();
-  } catch (error) {
-    return null;
-  }
-}
+function renderGameFlow(boxScore, playByPlay, scoreboardGame = null) {
+  const game = boxScore.game;
+  const homeTeam = game.homeTeam.teamTricode;
+  const awayTeam = game.awayTeam.teamTricode;
+
+  // Extract score difference data from play-by-play
+  const diffData = []; // { time: 0-1 normalized, diff: homeScore - awayScore }
+  diffData.push({ time: 0, diff: 0 });
+
+  // Pregame records come from the scoreboard; the boxscore feed doesn't carry them
+  const pregameSpread = getPregameSpread(scoreboardGame?.homeTeam, scoreboardGame?.awayTeam);
+  const wpData = [estimateWinProbability(0, REGULATION_SECONDS, pregameSpread)]; // home win probability per minute
+
+  let leadChanges = 0;
+  let lastLead = 0;
+  const numPeriods = Math.max(4, game.homeTeam.periods?.length || 4);
+  const totalGameMinutes = numPeriods * 12;
+
+  if (playByPlay?.game?.actions) {
+    let lastHomeScore = 0, lastAwayScore = 0;
+    const rawMinuteData = new Map(); // minute -> latest diff
+    const rawMinuteWp = new Map(); // minute -> latest home win probability
+
+    for (const action of playByPlay.game.actions) {
+      if (action.scoreHome !== undefined && action.scoreAway !== undefined) {
+        const homeScore = parseInt(action.scoreHome) || 0;
+        const awayScore = parseInt(action.scoreAway) || 0;
+
+        // Even if score didn't change, we want to know the score at this time
+        lastHomeScore = homeScore;
+        lastAwayScore = awayScore;
+
+        const period = action.period || 1;
+        const clock = action.clock || 'PT12M00.00S';
+
+        const clockMatch = clock.match(/PT(\d+)M([\d.]+)S/);
+        let minutesLeft = 12, secondsLeft = 0;
+        if (clockMatch) {
+          minutesLeft = parseInt(clockMatch[1]) || 0;
+          secondsLeft = parseFloat(clockMatch[2]) || 0;
+        }
+
+        const periodStartMinute = (period - 1) * 12;
+        const minutesElapsedInPeriod = 12 - minutesLeft - secondsLeft / 60;
+        const totalMinutesElapsed = periodStartMinute + minutesElapsedInPeriod;
 
-function getTransactionsUrl() {
-  const today = new Date();
-  const threeMonthsAgo = new Date(today);
-  threeMonthsAgo.setMonth(threeMonthsAgo.getMonth() - 3);
+        const minuteKey = Math.floor(totalMinutesElapsed);
+        const diff = homeScore - awayScore;
 
-  const formatDate = (d) => {
-    const year = d.getFullYear();
-    const month = String(d.getMonth() + 1).padStart(2, '0');
-    const day = String(d.getDate()).padStart(2, '0');
-    return `${year}${month}${day}`;
-  };
+        if ((lastLead > 0 && diff < 0) || (lastLead < 0 && diff > 0)) {
+          leadChanges++;
+        }
+        if (diff !== 0) lastLead = diff;
 
-  const startDate = formatDate(threeMonthsAgo);
-  const endDate = formatDate(today);
+        rawMinuteData.set(minuteKey, diff);
+        rawMinuteWp.set(minuteKey, estimateWinProbability(diff, getSecondsRemaining(period, clock), pregameSpread));
+      }
+    }
 
-  return `${ESPN_TRANSACTIONS_BASE_URL}?dates=${startDate}-${endDate}&limit=500`;
-}
+    // Fill every minute from 0 to current max minute or totalGameMinutes
+    let currentDiff = 0;
+    let currentWp = wpData[0];
+    const maxMinute = Math.max(...Array.from(rawMinuteData.keys()), 0);
+    // If the game is finished, we go up to totalGameMinutes.
+    // If it's live, we might go up to the latest action's minute.
+    const endMinute = game.gameStatus === 3 ? totalGameMinutes : maxMinute;
 
-async function fetchTradeNews() {
-  try {
-    const url = getTransactionsUrl();
-    const response = await fetch(url);
-    if (!response.ok) throw new Error(`HTTP error: ${response.status}`);
-    return await response.json();
-  } catch (error) {
-    return null;
-  }
-}
+    for (let m = 0; m <= endMinute; m++) {
+      if (rawMinuteData.has(m)) {
+        currentDiff = rawMinuteData.get(m);
+      }
+      if (rawMinuteWp.has(m)) {
+        currentWp = rawMinuteWp.get(m);
+      }
+      diffData.push({ time: m / totalGameMinutes, diff: currentDiff, minute: m });
+      wpData.push(currentWp);
+    }
 
-function parseGameClock(clockStr) {
-  if (!clockStr) return { minutes: 0, seconds: 0 };
-  const isoMatch = clockStr.match(/PT(\d+)M([\d.]+)S/);
-  if (isoMatch) {
-    return { minutes: parseInt(isoMatch[1]) || 0, seconds: parseFloat(isoMatch[2]) || 0 };
-  }
-  const parts = clockStr.replace(/[^\d:]/g, '').split(':');
-  if (parts.length === 2) {
-    return { minutes: parseInt(parts[0]) || 0, seconds: parseFloat(parts[1]) || 0 };
+    // A finished game always ends at 100/0, whatever the last action's clock said
+    if (game.gameStatus === 3) {
+      wpData[wpData.length - 1] = estimateWinProbability(lastHomeScore - lastAwayScore, 0);
+    }
+  } else {
+    // If no play-by-play yet, just show start
+    diffData.push({ time: 0, diff: 0, minute: 0 });
+    wpData.push(wpData[0]);
   }
-  return { minutes: 0, seconds: 0 };
-}
 
-function formatGameStatus(game) {
-  const status = game.gameStatus;
-  if (status === 1) {
-    const gameTime = new Date(game.gameTimeUTC).toLocaleTimeString('en-US', {
-      hour: 'numeric',
-      minute: '2-digit',
-      hour12: true
-    });
-    return `{gray-fg}Starts at ${gameTime}{/gray-fg}`;
-  } else if (status === 2) {
-    const period = game.period;
-    const { minutes, seconds } = parseGameClock(game.gameClock);
-    if (minutes === 0 && seconds === 0) {
-      if (period === 2) return `{yellow-fg}Halftime{/yellow-fg}`;
-      else if (period <= 4) return `{yellow-fg}End of Q${period}{/yellow-fg}`;
-      else return `{yellow-fg}End of OT${period - 4}{/yellow-fg}`;
+  // Zoomed into one period: one point per scored action instead of per-minute buckets
+  const zoomPeriod = gameFlowZoom && gameFlowZoom <= numPeriods ? gameFlowZoom : null;
+  if (zoomPeriod && playByPlay?.game?.actions) {
+    let startDiff = 0;
+    const periodPoints = [];
+    for (const action of playByPlay.game.actions) {
+      if (action.scoreHome === undefined || action.scoreAway === undefined) continue;
+      const diff = (parseInt(action.scoreHome) || 0) - (parseInt(action.scoreAway) || 0);
+      if (action.period < zoomPeriod) {
+        startDiff = diff;
+      } else if (action.period === zoomPeriod) {
+        const wp = estimateWinProbability(diff, getSecondsRemaining(action.period, action.clock), pregameSpread);
+        periodPoints.push({ point: { time: getActionPeriodFraction(action), diff }, wp });
+      }
     }
-    const periodName = period <= 4 ? `Q${period}` : `OT${period - 4}`;
-    if (minutes < 1) {
-      const wholeSec = Math.floor(seconds).toString().padStart(2, '0');
-      const decimalPart = Math.round((seconds % 1) * 100).toString().padStart(2, '0');
-      return `{red-fg}${periodName} ${wholeSec}.${decimalPart}{/red-fg}`;
-    } else {
-      const minDisplay = minutes.toString().padStart(2, '0');
-      const secDisplay = Math.floor(seconds).toString().padStart(2, '0');
-      return `${periodName} ${minDisplay}:${secDisplay}`;
+    const startSeconds = getSecondsRemaining(zoomPeriod, `PT${getPeriodSeconds(zoomPeriod) / 60}M00.00S`);
+    diffData.length = 0;
+    wpData.length = 0;
+    diffData.push({ time: 0, diff: startDiff });
+    wpData.push(estimateWinProbability(startDiff, startSeconds, pregameSpread));
+    for (const { point, wp } of periodPoints) {
+      diffData.push(point);
+      wpData.push(wp);
     }
-  } else {
-    return `{green-fg}Final{/green-fg}`;
   }
-}
 
-function formatPlayerName(fullName) {
-  if (!fullName) return '';
-  const parts = fullName.trim().split(/\s+/);
-  if (parts.length === 1) return parts[0];
-  return `${parts[0][0]}. ${parts.slice(1).join(' ')}`;
-}
+  // Calculate Y-axis range based on actual data
+  const diffs = diffData.map(d => d.diff);
+  const dataMax = Math.max(...diffs, 0);
+  const dataMin = Math.min(...diffs, 0);
 
-function getGameMVP(game) {
-  const leaders = game.gameLeaders;
-  if (!leaders || game.gameStatus === 1) return null;
-  const homeLeader = leaders.homeLeaders;
-  const awayLeader = leaders.awayLeaders;
-  if (!homeLeader?.points || !awayLeader?.points) return null;
+  // Add small padding and ensure at least some range
+  const maxAbsDiff = Math.max(Math.abs(dataMax), Math.abs(dataMin));
+  const interval = maxAbsDiff > 20 ? 4 : 2;
 
-  const homePts = parseInt(homeLeader.points) || 0;
-  const awayPts = parseInt(awayLeader.points) || 0;
-  const leader = homePts >= awayPts ? homeLeader : awayLeader;
-  const team = homePts >= awayPts ? game.homeTeam.teamTricode : game.awayTeam.teamTricode;
+  const yMax = Math.ceil(Math.max(dataMax, 1) / interval) * interval;
+  const yMin = Math.floor(Math.min(dataMin, -1) / interval) * interval;
 
-  return {
-    name: formatPlayerName(leader.name),
-    jerseyNum: leader.jerseyNum || '',
-    team,
-    pts: parseInt(leader.points) || 0,
-    reb: parseInt(leader.rebounds) || 0,
-    ast: parseInt(leader.assists) || 0
-  };
-}
+  // chartHeight in terms of rows, each row represents 'interval' points
+  const chartHeight = ((yMax - yMin) / interval) + 1;
+  // Make the chart width more compact
+  const maxPossibleWidth = gameFlowBox.width - 15;
+  const compactWidth = zoomPeriod ? maxPossibleWidth : totalGameMinutes * 1.8; // Use 1.8 characters per minute as requested
+  const chartWidth = Math.floor(Math.min(maxPossibleWidth, compactWidth));
 
-function stripTags(str) {
-  return str.replace(/\{[^}]+\}/g, '');
-}
+  // Create chart grid
+  const chart = new Array(chartHeight).fill(null).map(() => new Array(chartWidth).fill(' '));
 
-function padWithTags(str, width) {
-  const plainLen = stripTags(str).length;
-  return str + ' '.repeat(Math.max(0, width - plainLen));
-}
+  // Plot points (single data point per x-axis point)
+  // Since we now have minute-by-minute data, we can plot each minute
+  for (const data of diffData) {
+    const x = Math.floor(data.time * (chartWidth - 1));
+    // Normalize diff to the nearest interval for plotting
+    const normalizedDiff = Math.round(data.diff / interval) * interval;
+    const y = (yMax - normalizedDiff) / interval;
 
-function buildGameRow(game) {
-  const away = game.awayTeam;
-  const home = game.homeTeam;
-  const gameStarted = game.gameStatus !== 1;
+    if (y >= 0 && y < chartHeight && x >= 0 && x < chartWidth) {
+      // Clear the column first to ensure only one point per x
+      for (let row = 0; row < chartHeight; row++) {
+        chart[row][x] = ' ';
+      }
+      chart[y][x] = '○';
+    }
+  }
 
-  const awayAbbr = away.teamTricode;
-  const homeAbbr = home.teamTricode;
-  const awayScore = gameStarted ? String(away.score).padStart(3) : '  -';
-  const homeScore = gameStarted ? String(home.score).padStart(3) : '  -';
+  // Find y-coordinate for zero line
+  const yZero = yMax / interval;
 
-  const awayLeading = gameStarted && away.score > home.score;
-  const homeLeading = gameStarted && home.score > away.score;
+  // Build content
+  let content = '\n';
 
-  let awayDisplay = awayLeading ? `{bold}{white-fg}${awayAbbr} ${awayScore}{/white-fg}{/bold}` : `{gray-fg}${awayAbbr} ${awayScore}{/gray-fg}`;
-  let homeDisplay = homeLeading ? `{bold}{white-fg}${homeAbbr} ${homeScore}{/white-fg}{/bold}` : `{gray-fg}${homeAbbr} ${homeScore}{/gray-fg}`;
+  const homeColor = TEAM_COLORS[homeTeam] || '{green-fg}';
+  const awayColor = TEAM_COLORS[awayTeam] || '{red-fg}';
+  const homeColorTag = homeColor.startsWith('#') ? `{${homeColor}-fg}` : homeColor;
+  const awayColorTag = awayColor.startsWith('#') ? `{${awayColor}-fg}` : awayColor;
 
-  const scoreCol = `${awayDisplay}  -  ${homeDisplay}`;
-  const status = formatGameStatus(game);
+  const zoomLabel = zoomPeriod ? `{bold}${formatPeriodName(zoomPeriod)} (play-by-play){/bold}  |  ` : '';
+  content += `  ${zoomLabel}{yellow-fg}${leadChanges} Lead Changes{/yellow-fg}  |  ${homeColorTag}○${homeColorTag === homeColor ? '' : '{/}'} ${homeTeam} leading  |  ${awayColorTag}○${awayColorTag === awayColor ? '' : '{/}'} ${awayTeam} leading\n\n`;
 
-  const mvp = getGameMVP(game);
-  let mvpCol = '';
-  if (mvp) {
-    const stats = [`${mvp.pts} PTS`];
-    if (mvp.reb >= 5) stats.push(`${mvp.reb} REB`);
-    if (mvp.ast >= 5) stats.push(`${mvp.ast} AST`);
-    const jerseyStr = mvp.jerseyNum ? ` #${mvp.jerseyNum}` : '';
-    mvpCol = `{yellow-fg}${mvp.name}${jerseyStr} - ${mvp.team} (${stats.slice(0, 3).join(', ')}){/yellow-fg}`;
-  }
+  // Draw chart with Y-axis (dynamic interval)
+  for (let y = 0; y < chartHeight; y++) {
+    const diffValue = yMax - (y * interval);
+    const labelStr = diffValue === 0 ? '  0' : (diffValue > 0 ? `+${diffValue}` : String(diffValue));
+    const labelDisplay = labelStr.padStart(4);
 
-  return { scoreCol, status, mvpCol };
-}
+    content += ` ${labelDisplay} │`;
 
-function renderScoresView() {
-  const data = scoresData;
-  if (!data) {
-    gameList.setItems(['{red-fg}Failed to fetch scores. Retrying...{/red-fg}']);
-    screen.render();
-    return;
+    for (let x = 0; x < chartWidth; x++) {
+      const char = chart[y][x];
+      if (char === '○') {
+        // 4. Find a way to let user know who is leading
+        // If diff > 0, home team leads. If diff < 0, away team leads.
+        if (y < yZero) {
+          // Home leading (positive diff)
+          content += `${homeColorTag}${char}${homeColorTag === homeColor ? '' : '{/}'}`;
+        } else if (y > yZero) {
+          // Away leading (negative diff)
+          content += `${awayColorTag}${char}${awayColorTag === awayColor ? '' : '{/}'}`;
+        } else {
+          // Tied
+          content += `{white-fg}${char}{/white-fg}`;
+        }
+      } else if (y === yZero) {
+        // 1. add vertical line in grey in y=0 (Horizontal line at y=0)
+        content += `{gray-fg}─{/gray-fg}`;
+      } else {
+        content += ' ';
+      }
+    }
+    content += '\n';
   }
 
-  const games = data.scoreboard.games;
-  currentGames = games;
-  const gameDate = data.scoreboard.gameDate;
+  // X-axis
+  content += `      └${'─'.repeat(chartWidth)}\n`;
 
-  header.setContent(`{center}NBA Scores - ${gameDate}{/center}`);
+  // X-axis labels (Q1, Q2, Q3, Q4, OT1, OT2...), or the period clock when zoomed
+  const labelRow = new Array(chartWidth + 10).fill(' ');
+  const labels = zoomPeriod ? [] : [
+    { name: 'Q1', minute: 0 },
+    { name: 'Q2', minute: 12 },
+    { name: 'Q3', minute: 24 },
+    { name: 'Q4', minute: 36 }
+  ];
 
-  if (games.length === 0) {
-    gameList.setItems(['No games scheduled for today.']);
-    screen.render();
-    return;
+  if (zoomPeriod) {
+    const periodMinutes = getPeriodSeconds(zoomPeriod) / 60;
+    for (let i = 0; i < 4; i++) {
+      const clockMinutes = periodMinutes - (periodMinutes / 4) * i;
+      const clockLabel = `${Math.floor(clockMinutes)}:${String(Math.round((clockMinutes % 1) * 60)).padStart(2, '0')}`;
+      labels.push({ name: clockLabel, minute: (i / 4) * totalGameMinutes });
+    }
+  } else if (totalGameMinutes > 48) {
+    let otMinute = 48;
+    let otCount = 1;
+    while (otMinute < totalGameMinutes) {
+      labels.push({ name: `OT${otCount}`, minute: otMinute });
+      otMinute += 5;
+      otCount++;
+    }
   }
 
-  const tableWidth = 90;
-  const leftPad = Math.max(0, Math.floor((screen.width - tableWidth) / 2));
-  const pad = ' '.repeat(leftPad);
-
-  const headerRow = `${pad}{bold}${'SCORE'.padEnd(30)}${'STATUS'.padEnd(24)}${'TOP PERFORMER'}{/bold}`;
-  const separator = `${pad}{gray-fg}${'─'.repeat(tableWidth)}{/gray-fg}`;
-
-  const items = [headerRow, separator];
-
-  for (const game of games) {
-    const row = buildGameRow(game);
-    const scoreFormatted = padWithTags(row.scoreCol, 30);
-    const statusFormatted = padWithTags(row.status, 24);
-    items.push(`${pad}${scoreFormatted}${statusFormatted}${row.mvpCol}`);
+  for (const label of labels) {
+    const x = Math.floor((label.minute / totalGameMinutes) * (chartWidth - 1));
+    if (x >= 0 && x < chartWidth) {
+      const pos = x + 7; // Offset for '      └'
+      const labelStr = label.name;
+      for (let i = 0; i < labelStr.length; i++) {
+        if (pos + i < labelRow.length) {
+          labelRow[pos + i] = labelStr[i];
+        }
+      }
+    }
   }
+  content += labelRow.join('').trimEnd() + '\n';
 
-  const prevSelected = gameList.selected;
-  gameList.setItems(items);
-  gameList.select(Math.max(2, prevSelected)); // Skip header rows
-  screen.render();
-}
-
-function renderStandingsView() {
-  const data = standingsData;
-
-  header.setContent(`{center}NBA Standings - 2025-26 Season{/center}`);
+  // Scoring runs and largest leads, marked under the axis and listed as Key Moments
+  const actions = playByPlay?.game?.actions || [];
+  const runs = detectScoringRuns(actions);
+  const largestLeads = findLargestLeads(actions);
+  const sideTag = (side) => side === 'home' ? homeColorTag : awayColorTag;
+  const sideEnd = (side) => (side === 'home' ? homeColorTag === homeColor : awayColorTag === awayColor) ? '' : '{/}';
+  const sideTeam = (side) => side === 'home' ? homeTeam : awayTeam;
+  const actionX = (action) => {
+    if (zoomPeriod) {
+      if (action.period !== zoomPeriod) return null;
+      return Math.floor(getActionPeriodFraction(action) * (chartWidth - 1));
+    }
+    return Math.floor((getActionElapsedMinutes(action) / totalGameMinutes) * (chartWidth - 1));
+  };
 
-  if (!data) {
-    standingsContent.setContent('\n{center}{red-fg}Loading standings...{/red-fg}{/center}');
-    screen.render();
-    return;
+  const markers = new Array(chartWidth).fill(null);
+  runs.forEach((run, i) => {
+    const x = actionX(run.start);
+    if (x !== null && x >= 0 && x < chartWidth) markers[x] = `${sideTag(run.side)}${String.fromCharCode(65 + i)}${sideEnd(run.side)}`;
+  });
+  for (const side of ['home', 'away']) {
+    const lead = largestLeads[side];
+    const x = lead.action ? actionX(lead.action) : null;
+    if (x !== null && x >= 0 && x < chartWidth && !markers[x]) markers[x] = `${sideTag(side)}◆${sideEnd(side)}`;
+  }
+  if (markers.some(Boolean)) {
+    content += `       ${markers.map(m => m || ' ').join('')}\n`;
   }
 
-  const conferences = data.children;
-  if (!conferences || conferences.length === 0) {
-    standingsContent.setContent('\n{center}{red-fg}No standings data available{/red-fg}{/center}');
-    screen.render();
-    return;
+  content += '\n  {bold}Key Moments:{/bold}\n';
+  if (runs.length === 0 && !largestLeads.home.action && !largestLeads.away.action) {
+    content += '  {gray-fg}No scoring runs yet{/gray-fg}\n';
+  }
+  runs.forEach((run, i) => {
+    const label = `${sideTeam(run.side)} ${run.points}-${run.allowed} run`;
+    const from = `${awayTeam} ${run.before.away}-${run.before.home} ${homeTeam}`;
+    const to = `${awayTeam} ${run.after.away}-${run.after.home} ${homeTeam}`;
+    content += `  ${sideTag(run.side)}${String.fromCharCode(65 + i)}${sideEnd(run.side)}  ${sideTag(run.side)}${label.padEnd(16)}${sideEnd(run.side)} {gray-fg}${formatActionTime(run.start)} → ${formatActionTime(run.end)}{/gray-fg}   ${from} → ${to}\n`;
+  });
+  for (const side of ['away', 'home']) {
+    const lead = largestLeads[side];
+    if (!lead.action) continue;
+    content += `  ${sideTag(side)}◆${sideEnd(side)}  ${sideTeam(side)} largest lead: ${lead.lead} {gray-fg}(${formatActionTime(lead.action)}){/gray-fg}\n`;
   }
 
-  const eastTeams = [];
-  const westTeams = [];
+  // Win probability sparkline, aligned with the chart columns (taller bar = home more likely)
+  if (diffData.length > 1) {
+    const sparkChars = '▁▂▃▄▅▆▇█';
+    const sparkline = new Array(chartWidth).fill(' ');
+    const sparkSides = new Array(chartWidth).fill(0);
+    diffData.forEach((data, i) => {
+      const x = Math.floor(data.time * (chartWidth - 1));
+      if (x < 0 || x >= chartWidth) return;
+      const wp = wpData[i];
+      sparkline[x] = sparkChars[Math.min(sparkChars.length - 1, Math.floor(wp * sparkChars.length))];
+      sparkSides[x] = wp > 0.5 ? 1 : wp < 0.5 ? -1 : 0;
+    });
 
-  for (const conf of conferences) {
-    const confName = conf.name || '';
-    const entries = conf.standings?.entries || [];
+    let sparkContent = '';
+    for (let x = 0; x < chartWidth; x++) {
+      if (sparkSides[x] > 0) {
+        sparkContent += `${homeColorTag}${sparkline[x]}${homeColorTag === homeColor ? '' : '{/}'}`;
+      } else if (sparkSides[x] < 0) {
+        sparkContent += `${awayColorTag}${sparkline[x]}${awayColorTag === awayColor ? '' : '{/}'}`;
+      } else {
+        sparkContent += sparkline[x];
+      }
+    }
 
-    for (const entry of entries) {
-      const team = entry.team || {};
-      const stats = entry.stats || [];
-      const rawAbbr = team.abbreviation || '';
-      const teamAbbr = normalizeTeamAbbr(rawAbbr);
-      const winsRaw = stats.find(s => s.name === 'wins')?.value;
-      const lossesRaw = stats.find(s => s.name === 'losses')?.value;
-      const winPctRaw = stats.find(s => s.name === 'winPercent')?.value;
+    const latestWp = wpData[wpData.length - 1];
+    const wpLeader = latestWp >= 0.5 ? homeTeam : awayTeam;
+    const wpPct = Math.round(Math.max(latestWp, 1 - latestWp) * 100);
+    content += `\n   WP% │${sparkContent}\n`;
+    content += `  {gray-fg}Win probability (${homeTeam} high, ${awayTeam} low){/gray-fg}  {cyan-fg}${wpLeader} ${wpPct}%{/cyan-fg}\n`;
+  }
 
-      const teamData = {
-        teamAbbr,
-        wins: Math.floor(toNumber(winsRaw, 0)),
-        losses: Math.floor(toNumber(lossesRaw, 0)),
-        winPct: formatWinPct(winPctRaw)
-      };
+  // Add recent play-by-play actions
+  if (playByPlay?.game?.actions) {
+    content += '\n  {bold}Recent Plays:{/bold}\n';
+    content += `  ${'─'.repeat(chartWidth)}\n`;
 
-      if (confName.includes('East')) {
-        eastTeams.push(teamData);
-      } else if (confName.includes('West')) {
-        westTeams.push(teamData);
+    const actions = [...playByPlay.game.actions].reverse().slice(0, 5); // Show latest 5
+    for (const action of actions) {
+      if (action.description) {
+        const clock = action.clock ? action.clock.match(/PT(\d+)M([\d.]+)S/) : null;
+        let timeStr = '';
+        if (clock) {
+          const min = clock[1].padStart(2, '0');
+          const sec = Math.floor(parseFloat(clock[2])).toString().padStart(2, '0');
+          timeStr = `{gray-fg}[Q${action.period} ${min}:${sec}]{/gray-fg}`;
+        }
+        const scoreStr = action.scoreHome !== undefined ? `{cyan-fg}${action.scoreAway}-${action.scoreHome}{/cyan-fg}` : '';
+        content += `  ${timeStr} ${scoreStr.padEnd(15)} ${action.description}\n`;
       }
     }
   }
 
-  eastTeams.sort((a, b) => b.wins - a.wins || a.losses - b.losses);
-  westTeams.sort((a, b) => b.wins - a.wins || a.losses - b.losses);
+  gameFlowBox.setContent(content);
+  gameFlowBox.scrollTo(0);
+}
 
-  const eastLeader = eastTeams[0];
-  const westLeader = westTeams[0];
+// Team stats from the boxscore feed for the comparison block. Lower is better for turnovers and fouls.
+const TEAM_COMPARISON_STATS = [
+  { label: 'FG%', key: 'fieldGoalsPercentage', pct: true },
+  { label: '3P%', key: 'threePointersPercentage', pct: true },
+  { label: 'FT%', key: 'freeThrowsPercentage', pct: true },
+  { label: 'Rebounds', key: 'reboundsTotal' },
+  { label: 'Off. Rebounds', key: 'reboundsOffensive' },
+  { label: 'Assists', key: 'assists' },
+  { label: 'Steals', key: 'steals' },
+  { label: 'Blocks', key: 'blocks' },
+  { label: 'Turnovers', key: 'turnovers', lowerIsBetter: true },
+  { label: 'Fouls', key: 'foulsPersonal', lowerIsBetter: true },
+  { label: 'Points in the Paint', key: 'pointsInThePaint' },
+  { label: 'Fast-Break Points', key: 'pointsFastBreak' },
+  { label: 'Second-Chance Points', key: 'pointsSecondChance' },
+  { label: 'Points off Turnovers', key: 'pointsFromTurnovers' },
+  { label: 'Bench Points', key: 'benchPoints' },
+  { label: 'Biggest Lead', key: 'biggestLead' }
+];
+
+function formatTeamComparison(awayTeam, homeTeam) {
+  const awayStats = awayTeam.statistics || {};
+  const homeStats = homeTeam.statistics || {};
+  const labelWidth = 24;
+
+  let content = `\n  {bold}{cyan-fg}TEAM COMPARISON{/cyan-fg}{/bold}\n`;
+  content += `  {bold}${''.padEnd(labelWidth)}${awayTeam.teamTricode.padStart(10)}${homeTeam.teamTricode.padStart(10)}{/bold}\n`;
+  content += `  ${'─'.repeat(labelWidth + 20)}\n`;
+
+  for (const stat of TEAM_COMPARISON_STATS) {
+    if (awayStats[stat.key] === undefined && homeStats[stat.key] === undefined) continue;
+    const awayValue = toNumber(awayStats[stat.key]);
+    const homeValue = toNumber(homeStats[stat.key]);
+    const format = (v) => stat.pct ? `${(v * 100).toFixed(1)}%` : String(v);
+
+    // Highlight the leader of each category; ties stay plain
+    const awayLeads = stat.lowerIsBetter ? awayValue < homeValue : awayValue > homeValue;
+    const homeLeads = stat.lowerIsBetter ? homeValue < awayValue : homeValue > awayValue;
+    const highlight = (text, leads) => leads ? `{bold}{green-fg}${text}{/green-fg}{/bold}` : `{gray-fg}${text}{/gray-fg}`;
+
+    content += `  ${stat.label.padEnd(labelWidth)}${highlight(format(awayValue).padStart(10), awayLeads)}${highlight(format(homeValue).padStart(10), homeLeads)}\n`;
+  }
+  return content;
+}
 
-  const colWidth = 28;
-  const totalWidth = colWidth * 2 + 6;
-  const leftPad = Math.max(0, Math.floor((screen.width - totalWidth) / 2));
-  const pad = ' '.repeat(leftPad);
+// Sortable box score columns. `value` drives sorting, `format` the cell text.
+const BOX_SCORE_COLUMNS = [
+  { id: 'min', label: 'MIN', width: 6, value: s => { const { minutes, seconds } = parseGameClock(s.minutes); return minutes * 60 + seconds; }, format: s => (s.minutes || '00:00').replace('PT', '').replace('M', ':').replace('S', '').split('.')[0] },
+  { id: 'pts', label: 'PTS', width: 5, value: s => s.points || 0 },
+  { id: 'reb', label: 'REB', width: 5, value: s => s.reboundsTotal || 0 },
+  { id: 'ast', label: 'AST', width: 5, value: s => s.assists || 0 },
+  { id: 'stl', label: 'STL', width: 5, value: s => s.steals || 0 },
+  { id: 'blk', label: 'BLK', width: 5, value: s => s.blocks || 0 },
+  { id: 'fg', label: 'FG', width: 10, value: s => (s.fieldGoalsMade || 0) + (s.fieldGoalsAttempted || 0) / 1000, format: s => `${s.fieldGoalsMade || 0}-${s.fieldGoalsAttempted || 0}` },
+  { id: '3pt', label: '3PT', width: 8, value: s => (s.threePointersMade || 0) + (s.threePointersAttempted || 0) / 1000, format: s => `${s.threePointersMade || 0}-${s.threePointersAttempted || 0}` },
+  { id: 'ft', label: 'FT', width: 8, value: s => (s.freeThrowsMade || 0) + (s.freeThrowsAttempted || 0) / 1000, format: s => `${s.freeThrowsMade || 0}-${s.freeThrowsAttempted || 0}` },
+  { id: 'pm', label: '+/-', width: 6, value: s => s.plusMinusPoints || 0, format: s => { const pm = s.plusMinusPoints || 0; return pm > 0 ? `+${pm}` : String(pm); } }
+];
+
+// Turn the feed's notPlayingReason code (e.g. INACTIVE_INJURY) into readable text
+function formatNotPlayingReason(player) {
+  const reasons = {
+    DNP_COACH_DECISION: "Coach's Decision",
+    DNP_INJURY: 'Injury',
+    DND_INJURY: 'Injury',
+    INACTIVE_INJURY: 'Injury',
+    INACTIVE_ILLNESS: 'Illness',
+    INACTIVE_PERSONAL: 'Personal',
+    INACTIVE_GLEAGUE_TWOWAY: 'G League - Two-Way',
+    INACTIVE_GLEAGUE_ON_ASSIGNMENT: 'G League - On Assignment',
+    INACTIVE_NOT_WITH_TEAM: 'Not With Team',
+    INACTIVE_SUSPENSION: 'Suspension',
+    INACTIVE_COACH: "Coach's Decision"
+  };
+  const code = player.notPlayingReason || '';
+  const reason = reasons[code] || code.replace(/^(DNP|DND|NWT|INACTIVE)_/, '').toLowerCase().replace(/(^|_)(\w)/g, (m, sep, c) => `${sep ? ' ' : ''}${c.toUpperCase()}`);
+  const description = player.notPlayingDescription;
+  if (reason && description) return `${reason} - ${description}`;
+  return reason || description || '';
+}
 
-  const centerText = (text, width) => {
-    const leftPadding = Math.floor((width - text.length) / 2);
-    const rightPadding = width - text.length - leftPadding;
-    return ' '.repeat(leftPadding) + text + ' '.repeat(rightPadding);
+function renderBoxScore(boxScore) {
+  const game = boxScore.game;
+  const sortColumn = BOX_SCORE_COLUMNS.find(c => c.id === boxScoreSort.column);
+
+  const formatTeamTotals = (team) => {
+    const stats = team.statistics;
+    if (!stats) return '';
+    const fg = `${stats.fieldGoalsMade || 0}-${stats.fieldGoalsAttempted || 0}`;
+    const tpt = `${stats.threePointersMade || 0}-${stats.threePointersAttempted || 0}`;
+    const ft = `${stats.freeThrowsMade || 0}-${stats.freeThrowsAttempted || 0}`;
+    const pct = (v) => `${(toNumber(v) * 100).toFixed(1)}%`;
+
+    let content = `  ${'─'.repeat(91)}\n`;
+    content += `  {bold}${'TOTAL'.padEnd(20)}${''.padStart(6)}${String(stats.points || 0).padStart(5)}${String(stats.reboundsTotal || 0).padStart(5)}${String(stats.assists || 0).padStart(5)}${String(stats.steals || 0).padStart(5)}${String(stats.blocks || 0).padStart(5)}${fg.padStart(10)}${tpt.padStart(8)}${ft.padStart(8)}{/bold}\n`;
+    content += `  {gray-fg}${''.padEnd(51)}${pct(stats.fieldGoalsPercentage).padStart(10)}${pct(stats.threePointersPercentage).padStart(8)}${pct(stats.freeThrowsPercentage).padStart(8)}{/gray-fg}\n`;
+    return content;
   };
 
-  let content = '\n';
-  content += `${pad}{bold}{cyan-fg}${centerText('EASTERN CONFERENCE', colWidth)}    ${centerText('WESTERN CONFERENCE', colWidth)}{/cyan-fg}{/bold}\n`;
-  const headerRow = ' #  TEAM   W-L   PCT   GB';
-  content += `${pad}{gray-fg}${headerRow.padEnd(colWidth)}    ${headerRow}{/gray-fg}\n`;
-  content += `${pad}{gray-fg}${'─'.repeat(colWidth)}    ${'─'.repeat(colWidth)}{/gray-fg}\n`;
+  const rows = []; // { line, player, team } for every selectable player row
+  let content = '';
+  const currentLine = () => content.split('\n').length - 1;
+
+  const formatRow = (text, player, team) => {
+    rows.push({ line: currentLine(), player, team });
+    const selected = player.personId === boxScoreSelected && detailFocus === 'boxScore';
+    return selected ? `  {black-fg}{white-bg}${text}{/white-bg}{/black-fg}\n` : `  ${text}\n`;
+  };
 
-  const maxTeams = Math.max(eastTeams.length, westTeams.length);
-  for (let i = 0; i < Math.min(maxTeams, 15); i++) {
-    const eastTeam = eastTeams[i];
-    const westTeam = westTeams[i];
+  const formatPlayerStats = (team) => {
+    const headerCells = BOX_SCORE_COLUMNS.map(col => {
+      const arrow = col === sortColumn ? (boxScoreSort.desc ? '▼' : '▲') : '';
+      return `${arrow}${col.label}`.padStart(col.width);
+    }).join('');
+    content += `\n  {bold}{cyan-fg}${team.teamTricode}{/bold}{/cyan-fg}\n`;
+    content += `  {bold}${'  PLAYER'.padEnd(20)}${headerCells}{/bold}\n`;
+    content += `  ${'─'.repeat(91)}\n`;
 
-    const eastHighlight = i < 6 ? '{green-fg}' : i < 10 ? '{yellow-fg}' : '{white-fg}';
-    const eastEnd = i < 6 ? '{/green-fg}' : i < 10 ? '{/yellow-fg}' : '{/white-fg}';
-    const westHighlight = i < 6 ? '{green-fg}' : i < 10 ? '{yellow-fg}' : '{white-fg}';
-    const westEnd = i < 6 ? '{/green-fg}' : i < 10 ? '{/yellow-fg}' : '{/white-fg}';
+    const active = team.players.filter(p => p.played && p.played !== '0');
+    const inactive = team.players.filter(p => !p.played || p.played === '0');
+    if (sortColumn) {
+      const dir = boxScoreSort.desc ? -1 : 1;
+      active.sort((a, b) => dir * (sortColumn.value(a.statistics) - sortColumn.value(b.statistics)));
+    }
 
-    const rank = String(i + 1).padEnd(2);
+    let lastWasStarter = null;
+    for (const player of active) {
+      const isStarter = player.starter === '1';
+      // Starter/bench separator only makes sense in feed order
+      if (!sortColumn && lastWasStarter && !isStarter) {
+        content += `  {gray-fg}${'─'.repeat(91)}{/gray-fg}\n`;
+      }
+      lastWasStarter = isStarter;
 
-    let eastCol = '';
-    if (eastTeam) {
-      const record = `${eastTeam.wins}-${eastTeam.losses}`;
-      const gb = i === 0 ? '-   ' : ((eastLeader.wins - eastTeam.wins + eastTeam.losses - eastLeader.losses) / 2).toFixed(1).padEnd(4);
-      eastCol = `${eastHighlight}${rank}. ${eastTeam.teamAbbr.padEnd(4)} ${record.padEnd(5)}  ${eastTeam.winPct}  ${gb}${eastEnd}`;
+      const stats = player.statistics;
+      const marker = isStarter ? '* ' : '  ';
+      const displayName = `${marker}${formatPlayerName(player.name)}`.padEnd(20).slice(0, 20);
+      const cells = BOX_SCORE_COLUMNS.map(col => String(col.format ? col.format(stats) : col.value(stats)).padStart(col.width)).join('');
+      content += formatRow(`${displayName}${cells}`, player, team);
     }
 
-    let westCol = '';
-    if (westTeam) {
-      const record = `${westTeam.wins}-${westTeam.losses}`;
-      const gb = i === 0 ? '-   ' : ((westLeader.wins - westTeam.wins + westTeam.losses - westLeader.losses) / 2).toFixed(1).padEnd(4);
-      westCol = `${westHighlight}${rank}. ${westTeam.teamAbbr.padEnd(4)} ${record.padEnd(5)}  ${westTeam.winPct}  ${gb}${westEnd}`;
+    for (const player of inactive) {
+      const displayName = `  ${formatPlayerName(player.name)}`.padEnd(20).slice(0, 20);
+      const reason = formatNotPlayingReason(player);
+      const label = player.status === 'INACTIVE' ? 'INACTIVE' : 'DNP';
+      content += formatRow(`{gray-fg}${displayName}${label}${reason ? ` - ${reason}` : ''}{/gray-fg}`, player, team);
     }
+  };
+
+  content += formatTeamComparison(game.awayTeam, game.homeTeam);
+  content += '\n';
+  formatPlayerStats(game.awayTeam);
+  content += formatTeamTotals(game.awayTeam);
+  content += '\n';
+  formatPlayerStats(game.homeTeam);
+  content += formatTeamTotals(game.homeTeam);
+  content += `\n  {gray-fg}* Starter{/gray-fg}\n`;
+
+  boxScoreRows = rows;
+  if (!rows.some(r => r.player.personId === boxScoreSelected)) {
+    boxScoreSelected = rows[0]?.player.personId ?? null;
+    if (rows.length > 0) return renderBoxScore(boxScore);
+  }
 
-    const eastPlain = stripTags(eastCol);
-    const eastPadded = eastCol + ' '.repeat(Math.max(0, colWidth - eastPlain.length));
+  const scroll = boxScoreBox.childBase || 0;
+  boxScoreBox.setContent(content);
+  boxScoreBox.scrollTo(scroll);
+}
 
-    content += `${pad}${eastPadded}    ${westCol}\n`;
+function ensureBoxScoreSelectionVisible() {
+  const row = boxScoreRows.find(r => r.player.personId === boxScoreSelected);
+  if (!row) return;
+  const visible = boxScoreBox.height - boxScoreBox.iheight;
+  const top = boxScoreBox.childBase || 0;
+  if (row.line < top) {
+    boxScoreBox.scrollTo(row.line);
+  } else if (row.line >= top + visible) {
+    boxScoreBox.scrollTo(row.line - visible + 1);
   }
+}
 
-  const legendPlain = 'GB = Games Behind | Green: Playoff (1-6) | Yellow: Play-in (7-10) | White: Lottery';
-  const legendPad = ' '.repeat(Math.max(0, Math.floor((screen.width - legendPlain.length) / 2)));
-  content += `\n${legendPad}{gray-fg}GB = Games Behind | {/gray-fg}{green-fg}Green{/green-fg}{gray-fg}: Playoff (1-6) | {/gray-fg}{yellow-fg}Yellow{/yellow-fg}{gray-fg}: Play-in (7-10) | {/gray-fg}{white-fg}White{/white-fg}{gray-fg}: Lottery{/gray-fg}\n`;
+function isBoxScoreSelectionVisible() {
+  const row = boxScoreRows.find(r => r.player.personId === boxScoreSelected);
+  if (!row) return false;
+  const top = boxScoreBox.childBase || 0;
+  return row.line >= top && row.line < top + boxScoreBox.height - boxScoreBox.iheight;
+}
 
-  standingsContent.setContent(content);
+function moveBoxScoreSelection(step) {
+  if (!detailData?.boxScore || boxScoreRows.length === 0) return;
+  const index = boxScoreRows.findIndex(r => r.player.personId === boxScoreSelected);
+  // The first key press brings an off-screen selection into view instead of moving it
+  if (isBoxScoreSelectionVisible()) {
+    const next = Math.max(0, Math.min(boxScoreRows.length - 1, index + step));
+    if (step < 0 && index === 0) {
+      boxScoreBox.scrollTo(0); // Back up to the team comparison
+    }
+    boxScoreSelected = boxScoreRows[next].player.personId;
+  }
+  renderBoxScore(detailData.boxScore);
+  ensureBoxScoreSelectionVisible();
   screen.render();
 }
 
-function renderTradeNewsView() {
-  const data = tradeNewsData;
+function getPlayerActions(actions, personId) {
+  return (actions || []).filter(a => [
+    a.personId,
+    a.assistPersonId,
+    a.blockPersonId,
+    a.stealPersonId,
+    a.foulDrawnPersonId,
+    a.jumpBallWonPersonId,
+    a.jumpBallLostPersonId
+  ].includes(personId));
+}
 
-  const season = data?.season?.displayName || '2025-26';
-  header.setContent(`{center}NBA Transactions - ${season} Season{/center}`);
+function renderPlayerPanel(player, team) {
+  const stats = player.statistics || {};
+  const actions = detailData?.playByPlay?.game?.actions || [];
+  const game = detailData?.boxScore?.game;
+  const pct = (made, attempted) => attempted > 0 ? `${(made / attempted * 100).toFixed(1)}%` : '-';
+  const split = (label, made, attempted) => `  ${label.padEnd(16)}${`${made}-${attempted}`.padStart(8)}${pct(made, attempted).padStart(9)}\n`;
+
+  const fgm = stats.fieldGoalsMade || 0;
+  const fga = stats.fieldGoalsAttempted || 0;
+  const tpm = stats.threePointersMade || 0;
+  const tpa = stats.threePointersAttempted || 0;
+  const ftm = stats.freeThrowsMade || 0;
+  const fta = stats.freeThrowsAttempted || 0;
+  const pts = stats.points || 0;
+
+  const role = player.starter === '1' ? 'Starter' : 'Bench';
+  const jersey = player.jerseyNum ? ` #${player.jerseyNum}` : '';
+  const position = player.position ? ` ${player.position}` : '';
+  playerPanel.setLabel(` ${player.name} `);
 
-  if (!data) {
-    transactionsLeftPanel.setContent('\n{center}{red-fg}Loading transactions...{/red-fg}{/center}');
-    screen.render();
-    return;
+  let content = '\n';
+  content += `  {bold}{cyan-fg}${player.name}${jersey}{/cyan-fg}{/bold}${position}  ${team.teamTricode}  {gray-fg}${role}{/gray-fg}\n`;
+  if (!player.played || player.played === '0') {
+    const reason = formatNotPlayingReason(player);
+    content += `  {gray-fg}Did not play${reason ? `: ${reason}` : ''}{/gray-fg}\n`;
   }
 
-  const transactions = data.transactions;
-  if (!transactions || transactions.length === 0) {
-    transactionsLeftPanel.setContent('\n{center}{gray-fg}No recent transactions{/gray-fg}{/center}');
-    screen.render();
-    return;
+  const pm = stats.plusMinusPoints || 0;
+  content += `  MIN ${BOX_SCORE_COLUMNS[0].format(stats)}  PTS ${pts}  REB ${stats.reboundsTotal || 0}  AST ${stats.assists || 0}  STL ${stats.steals || 0}  BLK ${stats.blocks || 0}  TOV ${stats.turnovers || 0}  PF ${stats.foulsPersonal || 0}  +/- ${pm > 0 ? `+${pm}` : pm}\n`;
+
+  content += '\n  {bold}SHOOTING SPLITS{/bold}\n';
+  content += `  {gray-fg}${''.padEnd(16)}${'M-A'.padStart(8)}${'PCT'.padStart(9)}{/gray-fg}\n`;
+  content += split('Field Goals', fgm, fga);
+  content += split('2-Pointers', fgm - tpm, fga - tpa);
+  content += split('3-Pointers', tpm, tpa);
+  content += split('Free Throws', ftm, fta);
+  const efg = fga > 0 ? `${((fgm + 0.5 * tpm) / fga * 100).toFixed(1)}%` : '-';
+  const ts = fga + fta > 0 ? `${(pts / (2 * (fga + 0.44 * fta)) * 100).toFixed(1)}%` : '-';
+  content += `  ${'eFG% / TS%'.padEnd(16)}${efg.padStart(8)}${ts.padStart(9)}\n`;
+
+  const shots = actions.filter(a => a.isFieldGoal === 1 && a.personId === player.personId);
+  if (shots.length > 0) {
+    const zones = getShotZoneStats(shots);
+    content += '\n  {bold}BY ZONE{/bold}\n';
+    for (const zone of SHOT_ZONES) {
+      content += split(zone.name, zones[zone.id].made, zones[zone.id].attempted);
+    }
   }
 
-  const pad = ' ';
-
-  // Group all transactions by date
-  const txByDate = new Map();
+  const involved = getPlayerActions(actions, player.personId).filter(a => a.description);
+  content += `\n  {bold}PLAY-BY-PLAY{/bold} {gray-fg}(${involved.length} actions){/gray-fg}\n`;
+  content += `  {gray-fg}${'─'.repeat(70)}{/gray-fg}\n`;
+  if (involved.length === 0) {
+    content += '  {gray-fg}No actions yet{/gray-fg}\n';
+  }
+  for (const action of involved) {
+    const score = action.scoreHome !== undefined && game ? `${game.awayTeam.teamTricode} ${action.scoreAway}-${action.scoreHome} ${game.homeTeam.teamTricode}` : '';
+    const color = action.shotResult === 'Made' ? 'green' : action.shotResult === 'Missed' ? 'gray' : 'white';
+    content += `  {gray-fg}[${formatActionTime(action)}]{/gray-fg} {cyan-fg}${score.padEnd(16)}{/cyan-fg} {${color}-fg}${action.description}{/${color}-fg}\n`;
+  }
 
-  for (const tx of transactions) {
-    const desc = tx.description;
-    const teamAbbr = normalizeTeamAbbr(tx.team?.abbreviation || '');
-    const date = tx.date;
-    const dateKey = date.split('T')[0];
+  playerPanel.setContent(content);
+}
 
-    if (!txByDate.has(dateKey)) {
-      txByDate.set(dateKey, []);
-    }
-    txByDate.get(dateKey).push({ desc, teamAbbr, date });
-  }
+function showPlayerPanel() {
+  const row = boxScoreRows.find(r => r.player.personId === boxScoreSelected);
+  if (!row) return;
+  playerPanelVisible = true;
+  renderPlayerPanel(row.player, row.team);
+  playerPanel.scrollTo(0);
+  playerPanel.show();
+  playerPanel.setFront();
+  playerPanel.focus();
+  screen.render();
+}
 
-  let content = '\n';
+function hidePlayerPanel() {
+  if (!playerPanelVisible) return;
+  playerPanelVisible = false;
+  playerPanel.hide();
+  updateDetailFocus();
+}
 
-  // Sort dates descending (most recent first)
-  const sortedDates = Array.from(txByDate.keys()).sort((a, b) => b.localeCompare(a));
+const PBP_ACTION_TYPES = [
+  { id: 'made', name: 'Made shots', match: a => ['2pt', '3pt', 'freethrow'].includes(a.actionType) && a.shotResult === 'Made' },
+  { id: 'foul', name: 'Fouls', match: a => a.actionType === 'foul' },
+  { id: 'turnover', name: 'Turnovers', match: a => a.actionType === 'turnover' },
+  { id: 'substitution', name: 'Substitutions', match: a => a.actionType === 'substitution' },
+  { id: 'timeout', name: 'Timeouts', match: a => a.actionType === 'timeout' }
+];
 
-  for (const dateKey of sortedDates) {
-    const txList = txByDate.get(dateKey);
-    const date = new Date(dateKey + 'T12:00:00Z');
-    const dateStr = date.toLocaleDateString('en-US', {
-      weekday: 'long',
-      month: 'long',
-      day: 'numeric'
-    });
+function formatPeriodName(period) {
+  return period <= 4 ? `Q${period}` : `OT${period - 4}`;
+}
 
-    content += `${pad}{bold}{white-fg}${dateStr}{/white-fg}{/bold}\n`;
-    content += `${pad}{gray-fg}${'─'.repeat(60)}{/gray-fg}\n`;
+function formatActionTime(action) {
+  const { minutes, seconds } = parseGameClock(action.clock);
+  return `${formatPeriodName(action.period)} ${String(minutes).padStart(2, '0')}:${String(Math.floor(seconds)).padStart(2, '0')}`;
+}
 
-    for (const tx of txList) {
-      // Color code by transaction type
-      let typeColor = '{white-fg}';
-      let typeEnd = '{/white-fg}';
-      if (tx.desc.includes('Acquired')) {
-        typeColor = '{yellow-fg}';
-        typeEnd = '{/yellow-fg}';
-      } else if (tx.desc.includes('Waived')) {
-        typeColor = '{red-fg}';
-        typeEnd = '{/red-fg}';
-      } else if (tx.desc.includes('Signed')) {
-        typeColor = '{green-fg}';
-        typeEnd = '{/green-fg}';
-      }
+function getPlayByPlayPeriods() {
+  const actions = detailData?.playByPlay?.game?.actions || [];
+  return [...new Set(actions.map(a => a.period).filter(Boolean))].sort((a, b) => a - b);
+}
 
-      content += `${pad}  {cyan-fg}${tx.teamAbbr.padEnd(4)}{/cyan-fg} ${typeColor}${tx.desc}${typeEnd}\n`;
+function filterPlayByPlayActions(actions, filters) {
+  const playerQuery = filters.player.toLowerCase();
+  const typeFilter = PBP_ACTION_TYPES.find(t => t.id === filters.type);
+  return actions.filter(action => {
+    if (!action.description) return false;
+    if (filters.period && action.period !== filters.period) return false;
+    if (filters.team && action.teamTricode !== filters.team) return false;
+    if (typeFilter && !typeFilter.match(action)) return false;
+    if (playerQuery) {
+      const names = [action.playerName, action.playerNameI, action.description].filter(Boolean).join(' ').toLowerCase();
+      if (!names.includes(playerQuery)) return false;
     }
+    return true;
+  });
+}
 
-    content += '\n';
+function renderPlayByPlay() {
+  const actions = detailData?.playByPlay?.game?.actions;
+  const game = detailData?.boxScore?.game;
+
+  const activeFilters = [
+    pbpFilters.period ? formatPeriodName(pbpFilters.period) : null,
+    pbpFilters.team,
+    PBP_ACTION_TYPES.find(t => t.id === pbpFilters.type)?.name,
+    pbpFilters.player ? `"${pbpFilters.player}"` : null
+  ].filter(Boolean);
+  playByPlayBox.setLabel(activeFilters.length > 0 ? ` Play-by-Play (${activeFilters.join(' · ')}) ` : ' Play-by-Play ');
+
+  if (!actions || !game) {
+    playByPlayBox.setContent('\n  {gray-fg}No play-by-play available yet{/gray-fg}');
+    pbpPeriodLines = new Map();
+    return;
   }
 
-  transactionsLeftPanel.setContent(content);
-  screen.render();
-}
+  const filtered = filterPlayByPlayActions(actions, pbpFilters);
+  const awayAbbr = game.awayTeam.teamTricode;
+  const homeAbbr = game.homeTeam.teamTricode;
+
+  const lines = [''];
+  pbpPeriodLines = new Map();
+  let currentPeriod = null;
+
+  for (const action of filtered) {
+    if (action.period !== currentPeriod) {
+      currentPeriod = action.period;
+      if (lines.length > 1) lines.push('');
+      pbpPeriodLines.set(currentPeriod, lines.length);
+      lines.push(`  {bold}{cyan-fg}${formatPeriodName(currentPeriod)}{/cyan-fg}{/bold}`);
+      lines.push(`  {gray-fg}${'─'.repeat(60)}{/gray-fg}`);
+    }
 
-function renderSubscriptionPanel() {
-  // Update subscribed players list
-  if (subscribedPlayers.length === 0) {
-    subscribedList.setItems(['{gray-fg}No players subscribed{/gray-fg}', '{gray-fg}Search below to add{/gray-fg}']);
-  } else {
-    const items = subscribedPlayers.map(p => `{yellow-fg}${p.name}{/yellow-fg}`);
-    subscribedList.setItems(items);
+    let color = 'white';
+    if (action.shotResult === 'Made') color = 'green';
+    else if (action.shotResult === 'Missed') color = 'gray';
+    else if (action.actionType === 'foul') color = 'red';
+    else if (action.actionType === 'turnover') color = 'magenta';
+    else if (action.actionType === 'timeout') color = 'yellow';
+    else if (action.actionType === 'substitution') color = 'gray';
+
+    const score = action.scoreHome !== undefined ? `${awayAbbr} ${action.scoreAway}-${action.scoreHome} ${homeAbbr}` : '';
+    const team = (action.teamTricode || '').padEnd(4);
+    lines.push(`  {gray-fg}[${formatActionTime(action)}]{/gray-fg} {cyan-fg}${score.padEnd(16)}{/cyan-fg} ${team}{${color}-fg}${action.description}{/${color}-fg}`);
   }
 
-  // Update search results
-  if (searchResults.length === 0) {
-    searchResultsList.setItems(['{gray-fg}Type to search players{/gray-fg}']);
-  } else {
-    const items = searchResults.map(p => {
-      const subscribed = subscribedPlayers.find(s => s.id === p.id);
-      return subscribed ? `{green-fg}✓{/green-fg} ${p.name}` : `  ${p.name}`;
-    });
-    searchResultsList.setItems(items);
+  if (filtered.length === 0) {
+    lines.push('  {gray-fg}No plays match the current filters{/gray-fg}');
   }
 
-  screen.render();
+  const scroll = playByPlayBox.getScroll();
+  playByPlayBox.setContent(lines.join('\n'));
+  playByPlayBox.scrollTo(scroll);
 }
 
-function updateTransactionsPanelFocus() {
-  if (transactionsFocusLeft) {
-    transactionsLeftPanel.style.border.fg = 'yellow';
-    transactionsRightPanel.style.border.fg = 'gray';
-    transactionsLeftPanel.focus();
-  } else {
-    transactionsLeftPanel.style.border.fg = 'cyan';
-    transactionsRightPanel.style.border.fg = 'yellow';
-    searchInput.focus();
+// Half court in tenths of a foot, basket at (0, 0), as used by the play-by-play xLegacy/yLegacy fields
+const COURT = {
+  minX: -250,
+  maxX: 250,
+  minY: -52.5, // baseline
+  maxY: 417.5, // half-court line
+  paintHalfWidth: 80,
+  freeThrowY: 137.5,
+  cornerThreeX: 220,
+  cornerThreeY: 89.5,
+  threeRadius: 237.5
+};
+const SHOT_CHART_WIDTH = 51; // ~1 ft per column
+const SHOT_CHART_HEIGHT = 24; // ~2 ft per row, roughly square on a terminal
+
+const SHOT_ZONES = [
+  { id: 'paint', name: 'Paint' },
+  { id: 'midrange', name: 'Mid-Range' },
+  { id: 'corner3', name: 'Corner 3' },
+  { id: 'aboveBreak3', name: 'Above Break 3' }
+];
+
+function classifyShotZone(action) {
+  switch (action.area) {
+    case 'Restricted Area':
+    case 'In The Paint (Non-RA)':
+      return 'paint';
+    case 'Mid-Range':
+      return 'midrange';
+    case 'Left Corner 3':
+    case 'Right Corner 3':
+      return 'corner3';
+    case 'Above the Break 3':
+    case 'Backcourt':
+      return 'aboveBreak3';
   }
-  screen.render();
+
+  // Fall back to coordinates when the feed has no area
+  const x = toNumber(action.xLegacy);
+  const y = toNumber(action.yLegacy);
+  if (action.actionType === '3pt') {
+    return y <= COURT.cornerThreeY && Math.abs(x) >= COURT.cornerThreeX ? 'corner3' : 'aboveBreak3';
+  }
+  return Math.abs(x) <= COURT.paintHalfWidth && y <= COURT.freeThrowY ? 'paint' : 'midrange';
 }
 
-function renderGameFlow(boxScore, playByPlay) {
-  const game = boxScore.game;
-  const homeTeam = game.homeTeam.teamTricode;
-  const awayTeam = game.awayTeam.teamTricode;
+function getShotZoneStats(shots) {
+  const stats = {};
+  for (const zone of [...SHOT_ZONES, { id: 'total' }]) {
+    stats[zone.id] = { made: 0, attempted: 0 };
+  }
+  for (const shot of shots) {
+    const made = shot.shotResult === 'Made' ? 1 : 0;
+    const zone = stats[classifyShotZone(shot)];
+    zone.attempted++;
+    zone.made += made;
+    stats.total.attempted++;
+    stats.total.made += made;
+  }
+  return stats;
+}
 
-  // Extract score difference data from play-by-play
-  const diffData = []; // { time: 0-1 normalized, diff: homeScore - awayScore }
-  diffData.push({ time: 0, diff: 0 });
+// Draw a half court as a grid of tagged cells, then overlay made (●) and missed (×) shots
+function buildShotChart(shots, width = SHOT_CHART_WIDTH, height = SHOT_CHART_HEIGHT) {
+  const cellW = (COURT.maxX - COURT.minX) / (width - 1);
+  const cellH = (COURT.maxY - COURT.minY) / (height - 1);
+  const toCol = (x) => Math.round((x - COURT.minX) / cellW);
+  const toRow = (y) => Math.round((y - COURT.minY) / cellH);
+
+  const grid = [];
+  for (let row = 0; row < height; row++) {
+    const cells = [];
+    for (let col = 0; col < width; col++) {
+      const x = COURT.minX + col * cellW;
+      const y = COURT.minY + row * cellH;
+      const near = (a, b, tolerance) => Math.abs(a - b) <= tolerance / 2;
+      let ch = ' ';
+
+      if (row === 0 || row === height - 1) {
+        ch = '─';
+      } else if (col === 0 || col === width - 1) {
+        ch = '│';
+      } else if (y <= COURT.freeThrowY && (near(x, -COURT.paintHalfWidth, cellW) || near(x, COURT.paintHalfWidth, cellW))) {
+        ch = '│';
+      } else if (Math.abs(x) <= COURT.paintHalfWidth && near(y, COURT.freeThrowY, cellH)) {
+        ch = '─';
+      } else if (y <= COURT.cornerThreeY && (near(x, -COURT.cornerThreeX, cellW) || near(x, COURT.cornerThreeX, cellW))) {
+        ch = '│';
+      } else if (y > COURT.cornerThreeY && near(Math.hypot(x, y), COURT.threeRadius, Math.max(cellW, cellH))) {
+        ch = '·';
+      }
+      cells.push({ ch, made: 0, missed: 0 });
+    }
+    grid.push(cells);
+  }
+  grid[toRow(0)][toCol(0)].ch = 'o';
+
+  for (const shot of shots) {
+    const row = toRow(toNumber(shot.yLegacy));
+    const col = toCol(toNumber(shot.xLegacy));
+    if (row < 0 || row >= height || col < 0 || col >= width) continue; // Backcourt heaves
+    if (shot.shotResult === 'Made') {
+      grid[row][col].made++;
+    } else {
+      grid[row][col].missed++;
+    }
+  }
 
-  let leadChanges = 0;
-  let lastLead = 0;
-  const numPeriods = Math.max(4, game.homeTeam.periods?.length || 4);
-  const totalGameMinutes = numPeriods * 12;
+  return grid.map(cells => cells.map(cell => {
+    if (cell.made > 0) return '{green-fg}●{/green-fg}';
+    if (cell.missed > 0) return '{red-fg}×{/red-fg}';
+    return cell.ch === ' ' ? ' ' : `{gray-fg}${cell.ch}{/gray-fg}`;
+  }).join(''));
+}
 
-  if (playByPlay?.game?.actions) {
-    let lastHomeScore = 0, lastAwayScore = 0;
-    const rawMinuteData = new Map(); // minute -> latest diff
+function renderShotChart() {
+  const game = detailData?.boxScore?.game;
+  const actions = detailData?.playByPlay?.game?.actions;
+  if (!game || !actions) {
+    shotChartBox.setContent('\n  {gray-fg}No shot data available yet{/gray-fg}');
+    return;
+  }
 
-    for (const action of playByPlay.game.actions) {
-      if (action.scoreHome !== undefined && action.scoreAway !== undefined) {
-        const homeScore = parseInt(action.scoreHome) || 0;
-        const awayScore = parseInt(action.scoreAway) || 0;
+  const team = game[`${shotChartTeam}Team`];
+  const player = (team.players || []).find(p => p.personId === shotChartPlayer);
+  const shots = actions.filter(a => a.isFieldGoal === 1 && a.teamTricode === team.teamTricode &&
+    (!player || a.personId === player.personId));
 
-        // Even if score didn't change, we want to know the score at this time
-        lastHomeScore = homeScore;
-        lastAwayScore = awayScore;
+  const subject = player ? `${formatPlayerName(player.name)} (${team.teamTricode})` : team.teamTricode;
+  shotChartBox.setLabel(` Shot Chart - ${subject} `);
 
-        const period = action.period || 1;
-        const clock = action.clock || 'PT12M00.00S';
+  const stats = getShotZoneStats(shots);
+  const formatZone = (name, zone) => {
+    const pct = zone.attempted > 0 ? `${(zone.made / zone.attempted * 100).toFixed(1)}%` : '-';
+    return `${name.padEnd(15)}${`${zone.made}-${zone.attempted}`.padStart(7)}${pct.padStart(8)}`;
+  };
+  const side = [
+    `{bold}${subject}{/bold}`,
+    '',
+    `{bold}${'ZONE'.padEnd(15)}${'FGM-A'.padStart(7)}${'PCT'.padStart(8)}{/bold}`,
+    `{gray-fg}${'─'.repeat(30)}{/gray-fg}`,
+    ...SHOT_ZONES.map(zone => formatZone(zone.name, stats[zone.id])),
+    `{gray-fg}${'─'.repeat(30)}{/gray-fg}`,
+    `{bold}${formatZone('Total', stats.total)}{/bold}`,
+    '',
+    '{green-fg}●{/green-fg} Made   {red-fg}×{/red-fg} Missed'
+  ];
 
-        const clockMatch = clock.match(/PT(\d+)M([\d.]+)S/);
-        let minutesLeft = 12, secondsLeft = 0;
-        if (clockMatch) {
-          minutesLeft = parseInt(clockMatch[1]) || 0;
-          secondsLeft = parseFloat(clockMatch[2]) || 0;
-        }
+  const chart = buildShotChart(shots);
+  let content = '\n';
+  for (let i = 0; i < chart.length; i++) {
+    content += `  ${chart[i]}    ${side[i] || ''}\n`;
+  }
 
-        const periodStartMinute = (period - 1) * 12;
-        const minutesElapsedInPeriod = 12 - minutesLeft - secondsLeft / 60;
-        const totalMinutesElapsed = periodStartMinute + minutesElapsedInPeriod;
+  shotChartBox.setContent(content);
+}
 
-        const minuteKey = Math.floor(totalMinutesElapsed);
-        const diff = homeScore - awayScore;
+// Team fouls in the current period. Offensive fouls and technicals don't count toward the bonus.
+// Team fouls in a period, optionally only those in its last `lastSeconds` seconds
+function countTeamFouls(actions, period, teamTricode, lastSeconds = null) {
+  const secondsLeft = action => {
+    const { minutes, seconds } = parseGameClock(action.clock);
+    return minutes * 60 + seconds;
+  };
+  return (actions || []).filter(a =>
+    a.actionType === 'foul' &&
+    a.period === period &&
+    a.teamTricode === teamTricode &&
+    !/offensive|technical/i.test(a.subType || '') &&
+    (lastSeconds === null || secondsLeft(a) <= lastSeconds)
+  ).length;
+}
 
-        if ((lastLead > 0 && diff < 0) || (lastLead < 0 && diff > 0)) {
-          leadChanges++;
-        }
-        if (diff !== 0) lastLead = diff;
+// A team shoots the bonus once its opponent has 4 fouls in a quarter (3 in overtime), or 1 in the
+// period's last two minutes. The feed's inBonus says so directly when it has it.
+function isTeamInBonus(team, opponentTricode, actions, period) {
+  if (team.inBonus !== undefined && team.inBonus !== null) return team.inBonus === '1' || team.inBonus === true;
+  const limit = period > 4 ? 3 : 4;
+  return countTeamFouls(actions, period, opponentTricode) >= limit ||
+    countTeamFouls(actions, period, opponentTricode, 120) >= 1;
+}
 
-        rawMinuteData.set(minuteKey, diff);
-      }
+function buildLineScore(game, boxScoreGame = null, actions = null) {
+  const away = boxScoreGame?.awayTeam || game.awayTeam;
+  const home = boxScoreGame?.homeTeam || game.homeTeam;
+  const awayPeriods = away.periods || game.awayTeam.periods || [];
+  const homePeriods = home.periods || game.homeTeam.periods || [];
+  const numPeriods = Math.max(4, awayPeriods.length, homePeriods.length);
+  const live = game.gameStatus === 2;
+  const lastPeriod = game.gameStatus === 3 ? numPeriods : (game.period || 0);
+
+  const periodHeaders = [];
+  for (let p = 1; p <= numPeriods; p++) {
+    periodHeaders.push(formatPeriodName(p).padStart(4));
+  }
+  let headerRow = `${''.padEnd(5)}${periodHeaders.join('')}${'T'.padStart(6)}`;
+  if (live) headerRow += `${'TOL'.padStart(5)}${'FOULS'.padStart(7)}      `;
+
+  const teamRow = (team, periods, opponent) => {
+    const cells = [];
+    for (let p = 1; p <= numPeriods; p++) {
+      const periodScore = periods.find(x => x.period === p);
+      // Periods not yet played stay blank
+      cells.push((p <= lastPeriod && periodScore ? String(periodScore.score) : '').padStart(4));
     }
-
-    // Fill every minute from 0 to current max minute or totalGameMinutes
-    let currentDiff = 0;
-    const maxMinute = Math.max(...Array.from(rawMinuteData.keys()), 0);
-    // If the game is finished, we go up to totalGameMinutes.
-    // If it's live, we might go up to the latest action's minute.
-    const endMinute = game.gameStatus === 3 ? totalGameMinutes : maxMinute;
-
-    for (let m = 0; m <= endMinute; m++) {
-      if (rawMinuteData.has(m)) {
-        currentDiff = rawMinuteData.get(m);
-      }
-      diffData.push({ time: m / totalGameMinutes, diff: currentDiff, minute: m });
+    const total = game.gameStatus === 1 ? '-' : String(team.score ?? '');
+    let row = `${team.teamTricode.padEnd(5)}${cells.join('')}${total.padStart(6)}`;
+    if (live) {
+      const fouls = countTeamFouls(actions, game.period, team.teamTricode);
+      const bonus = isTeamInBonus(team, opponent.teamTricode, actions, game.period);
+      const timeouts = team.timeoutsRemaining ?? '-';
+      row += `${String(timeouts).padStart(5)}${String(fouls).padStart(7)}${bonus ? ' BONUS' : '      '}`;
     }
-  } else {
-    // If no play-by-play yet, just show start
-    diffData.push({ time: 0, diff: 0, minute: 0 });
-  }
-
-  // Calculate Y-axis range based on actual data
-  const diffs = diffData.map(d => d.diff);
-  const dataMax = Math.max(...diffs, 0);
-  const dataMin = Math.min(...diffs, 0);
-
-  // Add small padding and ensure at least some range
-  const maxAbsDiff = Math.max(Math.abs(dataMax), Math.abs(dataMin));
-  const interval = maxAbsDiff > 20 ? 4 : 2;
+    return row;
+  };
 
-  const yMax = Math.ceil(Math.max(dataMax, 1) / interval) * interval;
-  const yMin = Math.floor(Math.min(dataMin, -1) / interval) * interval;
+  return [headerRow, teamRow(away, awayPeriods, home), teamRow(home, homePeriods, away)];
+}
 
-  // chartHeight in terms of rows, each row represents 'interval' points
-  const chartHeight = ((yMax - yMin) / interval) + 1;
-  // Make the chart width more compact
-  const maxPossibleWidth = gameFlowBox.width - 15;
-  const compactWidth = totalGameMinutes * 1.8; // Use 1.8 characters per minute as requested
-  const chartWidth = Math.floor(Math.min(maxPossibleWidth, compactWidth));
+function renderDetailHeader(game) {
+  const row = buildGameRow(game);
+  const cleanScoreCol = stripTags(row.scoreCol);
+  const cleanStatus = stripTags(row.status);
+  const data = detailData?.game?.gameId === game.gameId ? detailData : null;
+  const lineScore = buildLineScore(game, data?.boxScore?.game, data?.playByPlay?.game?.actions);
+
+  let content = `{center}{white-fg}${cleanScoreCol}  |  ${cleanStatus}{/white-fg}{/center}\n`;
+  content += `{center}{gray-fg}${lineScore[0]}{/gray-fg}{/center}\n`;
+  content += `{center}${lineScore[1]}{/center}\n`;
+  content += `{center}${lineScore[2]}{/center}`;
+  detailHeader.setContent(content);
+}
 
-  // Create chart grid
-  const chart = new Array(chartHeight).fill(null).map(() => new Array(chartWidth).fill(' '));
+// Seconds of game time elapsed at the start of a period
+function getPeriodStartSeconds(period) {
+  return period <= 4 ? (period - 1) * 720 : REGULATION_SECONDS + (period - 5) * 300;
+}
 
-  // Plot points (single data point per x-axis point)
-  // Since we now have minute-by-minute data, we can plot each minute
-  for (const data of diffData) {
-    const x = Math.floor(data.time * (chartWidth - 1));
-    // Normalize diff to the nearest interval for plotting
-    const normalizedDiff = Math.round(data.diff / interval) * interval;
-    const y = (yMax - normalizedDiff) / interval;
+function getActionElapsedSeconds(action) {
+  const { minutes, seconds } = parseGameClock(action.clock);
+  return getPeriodStartSeconds(action.period) + getPeriodSeconds(action.period) - minutes * 60 - seconds;
+}
 
-    if (y >= 0 && y < chartHeight && x >= 0 && x < chartWidth) {
-      // Clear the column first to ensure only one point per x
-      for (let row = 0; row < chartHeight; row++) {
-        chart[row][x] = ' ';
-      }
-      chart[y][x] = '○';
+/**
+ * Five players on the floor at the start of a period. Lineups change between periods without
+ * substitution actions, so take whoever acts or is subbed out before being subbed in, then
+ * fill any gaps from the lineup that ended the previous period.
+ */
+function inferPeriodStarters(actions, period, rosterIds, previousLineup) {
+  const starters = [];
+  const subbedIn = new Set();
+  for (const action of actions) {
+    if (action.period !== period || !rosterIds.has(action.personId)) continue;
+    const id = action.personId;
+    if (action.actionType === 'substitution' && action.subType === 'in') {
+      subbedIn.add(id);
+    } else if (!subbedIn.has(id) && !starters.includes(id)) {
+      starters.push(id);
     }
   }
+  for (const id of previousLineup) {
+    if (starters.length >= 5) break;
+    if (!starters.includes(id) && !subbedIn.has(id)) starters.push(id);
+  }
+  return starters.slice(0, 5);
+}
 
-  // Find y-coordinate for zero line
-  const yZero = yMax / interval;
-
-  // Build content
-  let content = '\n';
-
-  const homeColor = TEAM_COLORS[homeTeam] || '{green-fg}';
-  const awayColor = TEAM_COLORS[awayTeam] || '{red-fg}';
-  const homeColorTag = homeColor.startsWith('#') ? `{${homeColor}-fg}` : homeColor;
-  const awayColorTag = awayColor.startsWith('#') ? `{${awayColor}-fg}` : awayColor;
+/**
+ * Rebuild who was on the court from the play-by-play substitutions. Returns the stints
+ * ({ start, end, home, away, homePoints, awayPoints }, times in elapsed game seconds)
+ * and the current lineups.
+ */
+function buildLineupStints(actions, homeTeam, awayTeam) {
+  const sides = {
+    home: { tricode: homeTeam.teamTricode, roster: new Set((homeTeam.players || []).map(p => p.personId)) },
+    away: { tricode: awayTeam.teamTricode, roster: new Set((awayTeam.players || []).map(p => p.personId)) }
+  };
+  const lineups = {
+    home: (homeTeam.players || []).filter(p => p.starter === '1').map(p => p.personId),
+    away: (awayTeam.players || []).filter(p => p.starter === '1').map(p => p.personId)
+  };
 
-  content += `  {yellow-fg}${leadChanges} Lead Changes{/yellow-fg}  |  ${homeColorTag}○${homeColorTag === homeColor ? '' : '{/}'} ${homeTeam} leading  |  ${awayColorTag}○${awayColorTag === awayColor ? '' : '{/}'} ${awayTeam} leading\n\n`;
+  const stints = [];
+  let stint = null;
+  let period = null;
+  let prevHome = 0, prevAway = 0;
+  let lastElapsed = 0;
+  let openAt = null; // When the next stint starts: the period start, or the last substitution
+
+  const openStint = (start) => ({ start, end: start, home: [...lineups.home], away: [...lineups.away], homePoints: 0, awayPoints: 0 });
+  const closeStint = (end) => {
+    if (!stint) return;
+    stint.end = end;
+    if (stint.end > stint.start || stint.homePoints || stint.awayPoints) stints.push(stint);
+    stint = null;
+  };
 
-  // Draw chart with Y-axis (dynamic interval)
-  for (let y = 0; y < chartHeight; y++) {
-    const diffValue = yMax - (y * interval);
-    const labelStr = diffValue === 0 ? '  0' : (diffValue > 0 ? `+${diffValue}` : String(diffValue));
-    const labelDisplay = labelStr.padStart(4);
+  for (const action of actions || []) {
+    if (!action.period) continue;
+    const elapsed = getActionElapsedSeconds(action);
+    const isSubstitution = action.actionType === 'substitution';
+
+    if (action.period !== period) {
+      if (period !== null) {
+        if (!stint && openAt !== null) stint = openStint(openAt);
+        closeStint(getPeriodStartSeconds(period) + getPeriodSeconds(period));
+        for (const side of ['home', 'away']) {
+          lineups[side] = inferPeriodStarters(actions, action.period, sides[side].roster, lineups[side]);
+        }
+      }
+      period = action.period;
+      openAt = getPeriodStartSeconds(period);
+    }
 
-    content += ` ${labelDisplay} │`;
+    // Every substitution at one timestamp is applied before the next stint opens at that time
+    if (!stint && openAt !== null && !(isSubstitution && elapsed === openAt)) {
+      stint = openStint(openAt);
+      openAt = null;
+    }
 
-    for (let x = 0; x < chartWidth; x++) {
-      const char = chart[y][x];
-      if (char === '○') {
-        // 4. Find a way to let user know who is leading
-        // If diff > 0, home team leads. If diff < 0, away team leads.
-        if (y < yZero) {
-          // Home leading (positive diff)
-          content += `${homeColorTag}${char}${homeColorTag === homeColor ? '' : '{/}'}`;
-        } else if (y > yZero) {
-          // Away leading (negative diff)
-          content += `${awayColorTag}${char}${awayColorTag === awayColor ? '' : '{/}'}`;
-        } else {
-          // Tied
-          content += `{white-fg}${char}{/white-fg}`;
+    if (isSubstitution) {
+      const side = action.teamTricode === sides.home.tricode ? 'home' : action.teamTricode === sides.away.tricode ? 'away' : null;
+      if (side) {
+        closeStint(elapsed);
+        const lineup = lineups[side];
+        if (action.subType === 'out') {
+          lineups[side] = lineup.filter(id => id !== action.personId);
+        } else if (action.subType === 'in' && !lineup.includes(action.personId)) {
+          lineup.push(action.personId);
         }
-      } else if (y === yZero) {
-        // 1. add vertical line in grey in y=0 (Horizontal line at y=0)
-        content += `{gray-fg}─{/gray-fg}`;
-      } else {
-        content += ' ';
+        openAt = elapsed;
       }
+      continue;
     }
-    content += '\n';
-  }
 
-  // X-axis
-  content += `      └${'─'.repeat(chartWidth)}\n`;
+    if (!stint) stint = openStint(elapsed);
+    if (action.scoreHome !== undefined && action.scoreAway !== undefined) {
+      const home = parseInt(action.scoreHome) || 0;
+      const away = parseInt(action.scoreAway) || 0;
+      stint.homePoints += Math.max(0, home - prevHome);
+      stint.awayPoints += Math.max(0, away - prevAway);
+      prevHome = home;
+      prevAway = away;
+    }
+    lastElapsed = elapsed;
+  }
+  closeStint(lastElapsed);
 
-  // X-axis labels (Q1, Q2, Q3, Q4, OT1, OT2...)
-  const labelRow = new Array(chartWidth + 10).fill(' ');
-  const labels = [
-    { name: 'Q1', minute: 0 },
-    { name: 'Q2', minute: 12 },
-    { name: 'Q3', minute: 24 },
-    { name: 'Q4', minute: 36 }
-  ];
+  return { stints, current: lineups };
+}
 
-  if (totalGameMinutes > 48) {
-    let otMinute = 48;
-    let otCount = 1;
-    while (otMinute < totalGameMinutes) {
-      labels.push({ name: `OT${otCount}`, minute: otMinute });
-      otMinute += 5;
-      otCount++;
+function getCombinations(items, size) {
+  if (size === items.length) return [items];
+  const result = [];
+  const walk = (start, combo) => {
+    if (combo.length === size) {
+      result.push([...combo]);
+      return;
     }
-  }
+    for (let i = start; i < items.length; i++) {
+      combo.push(items[i]);
+      walk(i + 1, combo);
+      combo.pop();
+    }
+  };
+  walk(0, []);
+  return result;
+}
 
-  for (const label of labels) {
-    const x = Math.floor((label.minute / totalGameMinutes) * (chartWidth - 1));
-    if (x >= 0 && x < chartWidth) {
-      const pos = x + 7; // Offset for '      └'
-      const labelStr = label.name;
-      for (let i = 0; i < labelStr.length; i++) {
-        if (pos + i < labelRow.length) {
-          labelRow[pos + i] = labelStr[i];
-        }
-      }
+// Minutes and plus/minus for every five-man unit (size 5) or pairing (size 2) of one side
+function aggregateLineups(stints, side, size) {
+  const other = side === 'home' ? 'away' : 'home';
+  const units = new Map();
+  for (const stint of stints) {
+    const players = stint[side];
+    if (players.length < size || (size === 5 && players.length !== 5)) continue;
+    for (const combo of getCombinations([...players].sort((a, b) => a - b), size)) {
+      const key = combo.join('-');
+      const unit = units.get(key) || { players: combo, seconds: 0, pointsFor: 0, pointsAgainst: 0 };
+      unit.seconds += stint.end - stint.start;
+      unit.pointsFor += stint[`${side}Points`];
+      unit.pointsAgainst += stint[`${other}Points`];
+      units.set(key, unit);
     }
   }
-  content += labelRow.join('').trimEnd() + '\n';
+  return [...units.values()].map(unit => ({ ...unit, plusMinus: unit.pointsFor - unit.pointsAgainst }));
+}
 
-  // Add recent play-by-play actions
-  if (playByPlay?.game?.actions) {
-    content += '\n  {bold}Recent Plays:{/bold}\n';
-    content += `  ${'─'.repeat(chartWidth)}\n`;
+// ESPN injury report entries for one scoreboard team, matched by abbreviation or full name
+function getTeamInjuries(injuries, team) {
+  const fullName = `${team.teamCity} ${team.teamName}`.toLowerCase();
+  const entry = (injuries?.injuries || []).find(t => {
+    const abbr = t.team?.abbreviation || t.injuries?.[0]?.athlete?.team?.abbreviation;
+    return (abbr && normalizeTeamAbbr(abbr) === team.teamTricode) || (t.displayName || '').toLowerCase() === fullName;
+  });
+  return (entry?.injuries || []).map(injury => {
+    const detail = [injury.details?.side, injury.details?.type].filter(Boolean).join(' ');
+    return {
+      name: injury.athlete?.displayName || 'Unknown',
+      status: injury.status || injury.type?.description || '',
+      reason: [detail, injury.shortComment].filter(Boolean).join(' - ')
+    };
+  });
+}
 
-    const actions = [...playByPlay.game.actions].reverse().slice(0, 5); // Show latest 5
-    for (const action of actions) {
-      if (action.description) {
-        const clock = action.clock ? action.clock.match(/PT(\d+)M([\d.]+)S/) : null;
-        let timeStr = '';
-        if (clock) {
-          const min = clock[1].padStart(2, '0');
-          const sec = Math.floor(parseFloat(clock[2])).toString().padStart(2, '0');
-          timeStr = `{gray-fg}[Q${action.period} ${min}:${sec}]{/gray-fg}`;
-        }
-        const scoreStr = action.scoreHome !== undefined ? `{cyan-fg}${action.scoreAway}-${action.scoreHome}{/cyan-fg}` : '';
-        content += `  ${timeStr} ${scoreStr.padEnd(15)} ${action.description}\n`;
-      }
+// Players the boxscore feed lists as inactive or not playing, with the reason
+function getBoxScoreUnavailable(team) {
+  return (team.players || [])
+    .filter(p => p.status === 'INACTIVE' || (p.played === '0' && p.notPlayingReason))
+    .map(p => ({
+      name: p.name,
+      status: p.status === 'INACTIVE' ? 'Inactive' : 'Did Not Play',
+      reason: formatNotPlayingReason(p)
+    }));
+}
+
+function renderAvailability(game) {
+  const boxScoreGame = detailData?.boxScore?.game;
+  const injuries = injuriesCache?.data;
+  const statusColor = (status) => /^out|inactive/i.test(status) ? 'red' : /did not play/i.test(status) ? 'gray' : 'yellow';
+
+  let content = '\n';
+  for (const side of ['away', 'home']) {
+    const team = game[`${side}Team`];
+    content += `  {bold}{cyan-fg}${[team.teamTricode, team.teamName].filter(Boolean).join(' ')}{/cyan-fg}{/bold}\n`;
+    content += `  {gray-fg}${'─'.repeat(74)}{/gray-fg}\n`;
+
+    const boxTeam = boxScoreGame?.[`${side}Team`];
+    const gameRows = boxTeam ? getBoxScoreUnavailable(boxTeam) : [];
+    // The injury report is current, so it only describes games that haven't finished
+    const reportRows = game.gameStatus === 3 ? [] : getTeamInjuries(injuries, team)
+      .filter(row => !gameRows.some(r => r.name === row.name));
+
+    const rows = [...gameRows, ...reportRows];
+    for (const row of rows) {
+      const status = row.status.padEnd(14);
+      content += `  ${row.name.padEnd(26)}{${statusColor(row.status)}-fg}${status}{/${statusColor(row.status)}-fg}{gray-fg}${row.reason}{/gray-fg}\n`;
+    }
+    if (rows.length === 0) {
+      content += boxTeam || injuries
+        ? '  {gray-fg}No players listed out{/gray-fg}\n'
+        : '  {gray-fg}Availability not reported yet{/gray-fg}\n';
     }
+    content += '\n';
   }
+  content += '  {gray-fg}Inactive and DNP players come from the game feed; other entries from the league injury report.{/gray-fg}\n';
 
-  gameFlowBox.setContent(content);
-  gameFlowBox.scrollTo(0);
+  const scroll = availabilityBox.childBase || 0;
+  availabilityBox.setContent(content);
+  availabilityBox.scrollTo(scroll);
 }
 
-function renderBoxScore(boxScore) {
-  const game = boxScore.game;
+function renderLineups() {
+  const game = detailData?.boxScore?.game;
+  const actions = detailData?.playByPlay?.game?.actions;
+  if (!game || !actions) {
+    lineupsBox.setContent('\n  {gray-fg}No lineup data available yet{/gray-fg}');
+    return;
+  }
 
-  const formatPlayerStats = (players, teamAbbr) => {
-    let content = `\n  {bold}{cyan-fg}${teamAbbr}{/bold}{/cyan-fg}\n`;
-    content += `  {bold}${'PLAYER'.padEnd(20)}${'MIN'.padStart(6)}${'PTS'.padStart(5)}${'REB'.padStart(5)}${'AST'.padStart(5)}${'STL'.padStart(5)}${'BLK'.padStart(5)}${'FG'.padStart(10)}${'3PT'.padStart(8)}${'FT'.padStart(8)}${'+/-'.padStart(6)}{/bold}\n`;
-    content += `  ${'─'.repeat(91)}\n`;
+  const { stints, current } = buildLineupStints(actions, game.homeTeam, game.awayTeam);
+  const players = new Map([...game.homeTeam.players, ...game.awayTeam.players].map(p => [p.personId, p]));
+  const shortName = (id) => players.get(id)?.familyName || formatPlayerName(players.get(id)?.name) || String(id);
+  const formatMinutes = (secs) => `${Math.floor(secs / 60)}:${String(Math.round(secs % 60)).padStart(2, '0')}`;
+  const formatPm = (pm) => pm > 0 ? `{green-fg}${`+${pm}`.padStart(6)}{/green-fg}` : pm < 0 ? `{red-fg}${String(pm).padStart(6)}{/red-fg}` : '0'.padStart(6);
+  const sortUnits = (units) => units.sort((a, b) => lineupsSort === 'plusMinus'
+    ? b.plusMinus - a.plusMinus || b.seconds - a.seconds
+    : b.seconds - a.seconds || b.plusMinus - a.plusMinus);
 
-    let playersCount = 0;
-    for (const player of players) {
-      if (!player.played || player.played === '0') continue;
-      playersCount++;
-      const stats = player.statistics;
-      const playerName = player.name;
-      const displayName = formatPlayerName(playerName).padEnd(20).slice(0, 20);
-      const min = (stats.minutes || '00:00').replace('PT', '').replace('M', ':').replace('S', '').split('.')[0].padStart(6);
-      const pts = stats.points || 0;
-      const reb = stats.reboundsTotal || 0;
-      const ast = stats.assists || 0;
-      const stl = stats.steals || 0;
-      const blk = stats.blocks || 0;
-      const fg = `${stats.fieldGoalsMade || 0}-${stats.fieldGoalsAttempted || 0}`;
-      const tpt = `${stats.threePointersMade || 0}-${stats.threePointersAttempted || 0}`;
-      const ft = `${stats.freeThrowsMade || 0}-${stats.freeThrowsAttempted || 0}`;
-      const pm = stats.plusMinusPoints || 0;
-      const pmStr = pm > 0 ? `+${pm}` : String(pm);
-
-      content += `  ${displayName}${min}${String(pts).padStart(5)}${String(reb).padStart(5)}${String(ast).padStart(5)}${String(stl).padStart(5)}${String(blk).padStart(5)}${fg.padStart(10)}${tpt.padStart(8)}${ft.padStart(8)}${pmStr.padStart(6)}\n`;
-
-      if (playersCount === 5) {
-        content += `  {gray-fg}${'─'.repeat(91)}{/gray-fg}\n`;
-      }
+  lineupsBox.setLabel(` Lineups (sorted by ${lineupsSort === 'plusMinus' ? 'plus/minus' : 'minutes'}) `);
+  let content = '\n';
+
+  if (game.gameStatus === 2) {
+    content += '  {bold}{cyan-fg}ON COURT NOW{/cyan-fg}{/bold}\n';
+    for (const side of ['away', 'home']) {
+      const team = game[`${side}Team`];
+      // The live feed flags players on the floor; fall back to the rebuilt lineup
+      const onCourt = team.players.filter(p => p.oncourt === '1').map(p => p.personId);
+      const lineup = onCourt.length === 5 ? onCourt : current[side];
+      content += `  {bold}${team.teamTricode.padEnd(5)}{/bold}${lineup.map(shortName).join(', ')}\n`;
     }
-    return content;
-  };
+    content += '\n';
+  }
 
-  let content = '';
-  content += formatPlayerStats(game.awayTeam.players, game.awayTeam.teamTricode);
-  content += '\n';
-  content += formatPlayerStats(game.homeTeam.players, game.homeTeam.teamTricode);
+  const nameWidth = 52;
+  for (const side of ['away', 'home']) {
+    const team = game[`${side}Team`];
+    const fives = sortUnits(aggregateLineups(stints, side, 5)).slice(0, 10);
+    const pairs = sortUnits(aggregateLineups(stints, side, 2)).slice(0, 10);
+
+    content += `  {bold}{cyan-fg}${team.teamTricode} FIVE-MAN UNITS{/cyan-fg}{/bold}\n`;
+    content += `  {bold}${'LINEUP'.padEnd(nameWidth)}${'MIN'.padStart(7)}${'+/-'.padStart(6)}${'PTS'.padStart(9)}{/bold}\n`;
+    content += `  ${'─'.repeat(nameWidth + 22)}\n`;
+    for (const unit of fives) {
+      const names = unit.players.map(shortName).join('-').slice(0, nameWidth - 1).padEnd(nameWidth);
+      content += `  ${names}${formatMinutes(unit.seconds).padStart(7)}${formatPm(unit.plusMinus)}${`${unit.pointsFor}-${unit.pointsAgainst}`.padStart(9)}\n`;
+    }
+    if (fives.length === 0) content += '  {gray-fg}No lineups yet{/gray-fg}\n';
+
+    content += `\n  {bold}{cyan-fg}${team.teamTricode} TWO-MAN PAIRINGS{/cyan-fg}{/bold}\n`;
+    content += `  {bold}${'PAIR'.padEnd(nameWidth)}${'MIN'.padStart(7)}${'+/-'.padStart(6)}${'PTS'.padStart(9)}{/bold}\n`;
+    content += `  ${'─'.repeat(nameWidth + 22)}\n`;
+    for (const unit of pairs) {
+      const names = unit.players.map(shortName).join(' + ').slice(0, nameWidth - 1).padEnd(nameWidth);
+      content += `  ${names}${formatMinutes(unit.seconds).padStart(7)}${formatPm(unit.plusMinus)}${`${unit.pointsFor}-${unit.pointsAgainst}`.padStart(9)}\n`;
+    }
+    if (pairs.length === 0) content += '  {gray-fg}No pairings yet{/gray-fg}\n';
+    content += '\n';
+  }
 
-  boxScoreBox.setContent(content);
-  boxScoreBox.scrollTo(0);
+  const scroll = lineupsBox.childBase || 0;
+  lineupsBox.setContent(content);
+  lineupsBox.scrollTo(scroll);
 }
 
 async function showDetailView(game) {
@@ -1575,44 +5738,240 @@ async function showDetailView(game) {
   header.hide();
   gameList.hide();
   standingsContent.hide();
+  playoffsContent.hide();
   transactionsLeftPanel.hide();
   transactionsRightPanel.hide();
   footer.hide();
 
+  multiTiles.forEach(tile => tile.hide());
+  multiFooter.hide();
+
   // Show detail view
   detailHeader.show();
   gameFlowBox.show();
-  boxScoreBox.show();
   detailFooter.show();
 
-  const row = buildGameRow(game);
-  const cleanScoreCol = stripTags(row.scoreCol);
-  const cleanStatus = stripTags(row.status);
-  detailHeader.setContent(`{center}{white-fg}${cleanScoreCol}  |  ${cleanStatus}{/white-fg}{/center}`);
+  detailData = null;
+  renderDetailHeader(game);
 
   gameFlowBox.setContent('\n  Loading game data...');
   boxScoreBox.setContent('\n  Loading box score...');
+  playByPlayBox.setContent('\n  Loading play-by-play...');
+  playByPlayBox.scrollTo(0);
+  shotChartBox.setContent('\n  Loading shot chart...');
+  lineupsBox.setContent('\n  Loading lineups...');
+  lineupsBox.scrollTo(0);
+  availabilityBox.setContent('\n  Loading availability...');
+  availabilityBox.scrollTo(0);
+  pbpFilters = { period: null, team: null, player: '', type: null };
+  shotChartTeam = 'away';
+  shotChartPlayer = null;
+  gameFlowZoom = null;
+  boxScoreSort = { column: null, desc: true };
+  boxScoreSelected = null;
+  boxScoreBox.scrollTo(0);
 
-  // Set initial focus to box score
-  detailFocus = 'boxScore';
+  // Set initial focus to box score, or availability before tip-off
+  detailFocus = game.gameStatus === 1 ? 'availability' : 'boxScore';
   updateDetailFocus();
 
   const [boxScore, playByPlay] = await Promise.all([
     fetchBoxScore(game.gameId),
-    fetchPlayByPlay(game.gameId)
+    fetchPlayByPlay(game.gameId),
+    fetchInjuries()
   ]);
 
   if (boxScore) {
-    renderGameFlow(boxScore, playByPlay);
+    detailData = { game, boxScore, playByPlay };
+    renderDetailHeader(game);
+    renderGameFlow(boxScore, playByPlay, game);
     renderBoxScore(boxScore);
+    renderPlayByPlay();
+    renderShotChart();
+    renderLineups();
+    renderAvailability(game);
+  } else if (game.gameStatus === 1) {
+    const notStarted = '\n  {gray-fg}Game has not started yet{/gray-fg}';
+    [gameFlowBox, boxScoreBox, playByPlayBox, shotChartBox, lineupsBox].forEach(box => box.setContent(notStarted));
+    renderAvailability(game);
   } else {
     gameFlowBox.setContent('\n  {red-fg}Failed to load game data{/red-fg}');
     boxScoreBox.setContent('\n  {red-fg}Failed to load box score{/red-fg}');
+    playByPlayBox.setContent('\n  {red-fg}Failed to load play-by-play{/red-fg}');
+    shotChartBox.setContent('\n  {red-fg}Failed to load shot chart{/red-fg}');
+    lineupsBox.setContent('\n  {red-fg}Failed to load lineups{/red-fg}');
+    renderAvailability(game);
   }
 
   updateDetailFocus();
 }
 
+// Home-minus-away margin at the end of each of `columns` equal slices of the game (null past the latest play)
+function getMarginTimeline(actions, columns, numPeriods) {
+  const totalSeconds = getPeriodStartSeconds(numPeriods + 1);
+  const margins = new Array(columns).fill(null);
+  let margin = 0;
+  let lastColumn = -1;
+  for (const action of actions || []) {
+    if (!action.period) continue;
+    const column = Math.min(columns - 1, Math.floor(getActionElapsedSeconds(action) / totalSeconds * columns));
+    for (let c = lastColumn + 1; c < column; c++) margins[c] = margin;
+    if (action.scoreHome !== undefined && action.scoreAway !== undefined) {
+      margin = (parseInt(action.scoreHome) || 0) - (parseInt(action.scoreAway) || 0);
+    }
+    margins[column] = margin;
+    lastColumn = Math.max(lastColumn, column);
+  }
+  return margins;
+}
+
+// Bar chart of the margin, home leads above the zero line and away leads below
+function buildMiniFlowChart(margins, height, homeColorTag, awayColorTag) {
+  const half = Math.max(1, Math.floor(height / 2));
+  const maxAbs = Math.max(1, ...margins.map(m => Math.abs(m || 0)));
+  const rows = [];
+  for (let level = half; level >= -half; level--) {
+    let row = '';
+    for (const margin of margins) {
+      const bar = margin === null ? 0 : Math.ceil(Math.abs(margin) / maxAbs * half);
+      if (level === 0) {
+        row += margin === null ? ' ' : '{gray-fg}─{/gray-fg}';
+      } else if (level > 0 && margin > 0 && bar >= level) {
+        row += `${homeColorTag}█{/}`;
+      } else if (level < 0 && margin < 0 && bar >= -level) {
+        row += `${awayColorTag}█{/}`;
+      } else {
+        row += ' ';
+      }
+    }
+    rows.push(row);
+  }
+  return { rows, maxAbs };
+}
+
+function renderMultiTile(tile, game, data, focused) {
+  const awayAbbr = game.awayTeam.teamTricode;
+  const homeAbbr = game.homeTeam.teamTricode;
+  const innerWidth = Math.max(10, tile.width - 4);
+  const innerHeight = Math.max(4, tile.height - 2);
+
+  tile.setLabel(` ${awayAbbr} @ ${homeAbbr} `);
+  tile.style.border.fg = focused ? 'yellow' : 'cyan';
+
+  const lines = [];
+  const awayScore = game.gameStatus === 1 ? '' : ` ${game.awayTeam.score}`;
+  const homeScore = game.gameStatus === 1 ? '' : `${game.homeTeam.score} `;
+  lines.push(`{bold}${awayAbbr}${awayScore}{/bold}  -  {bold}${homeScore}${homeAbbr}{/bold}    ${formatGameStatus(game)}`);
+
+  const actions = data?.playByPlay?.game?.actions;
+  if (!data) {
+    lines.push('', '{gray-fg}Loading...{/gray-fg}');
+    tile.setContent(lines.map(line => ` ${line}`).join('\n'));
+    return;
+  }
+
+  // Roughly half the tile for the chart, the rest for recent plays
+  const chartHeight = Math.max(3, Math.floor((innerHeight - 4) / 2) | 1);
+  const numPeriods = Math.max(4, data.boxScore?.game?.homeTeam?.periods?.length || 4);
+  const chartWidth = innerWidth - 6;
+  const homeColor = TEAM_COLORS[homeAbbr] || '{green-fg}';
+  const awayColor = TEAM_COLORS[awayAbbr] || '{red-fg}';
+  const homeColorTag = homeColor.startsWith('#') ? `{${homeColor}-fg}` : homeColor;
+  const awayColorTag = awayColor.startsWith('#') ? `{${awayColor}-fg}` : awayColor;
+  const { rows, maxAbs } = buildMiniFlowChart(getMarginTimeline(actions, chartWidth, numPeriods), chartHeight, homeColorTag, awayColorTag);
+
+  lines.push('');
+  rows.forEach((row, i) => {
+    const label = i === 0 ? homeAbbr : i === rows.length - 1 ? awayAbbr : i === Math.floor(rows.length / 2) ? '0' : '';
+    lines.push(`{gray-fg}${label.padStart(4)}{/gray-fg}│${row}`);
+  });
+  lines.push(`{gray-fg}${`±${maxAbs}`.padStart(4)}{/gray-fg}└${'─'.repeat(chartWidth)}`);
+
+  const playRows = innerHeight - lines.length - 1;
+  const recent = (actions || []).filter(a => a.description).slice(-Math.max(0, playRows)).reverse();
+  lines.push('');
+  for (const action of recent) {
+    const color = action.shotResult === 'Made' ? 'green' : action.actionType === 'foul' ? 'red' : 'white';
+    const text = `[${formatActionTime(action)}] ${(action.teamTricode || '').padEnd(4)}${action.description}`.slice(0, innerWidth);
+    lines.push(`{${color}-fg}${text}{/${color}-fg}`);
+  }
+  if (recent.length === 0 && playRows > 0) lines.push('{gray-fg}No plays yet{/gray-fg}');
+
+  tile.setContent(lines.map(line => ` ${line}`).join('\n'));
+}
+
+function layoutMultiTiles(count) {
+  const rowsOfTiles = count <= 2 ? 1 : 2;
+  multiTiles.forEach((tile, index) => {
+    if (index >= count) {
+      tile.hide();
+      return;
+    }
+    const row = Math.floor(index / 2);
+    const lastAlone = count === 3 && index === 2;
+    tile.top = row === 0 ? 0 : '50%-1';
+    tile.left = index % 2 === 0 ? 0 : '50%';
+    tile.width = lastAlone ? '100%' : '50%';
+    tile.height = rowsOfTiles === 1 ? '100%-1' : '50%';
+    tile.show();
+  });
+}
+
+function renderMultiView() {
+  multiGames.forEach((game, index) => {
+    renderMultiTile(multiTiles[index], game, multiData.get(game.gameId), index === multiFocus);
+  });
+}
+
+function updateMultiFocus() {
+  renderMultiView();
+  multiTiles[multiFocus]?.focus();
+  screen.render();
+}
+
+async function refreshMultiView() {
+  // Keep the scoreboard entries current for the tile headers
+  if (scoresData?.scoreboard?.games) {
+    multiGames = multiGames.map(game => scoresData.scoreboard.games.find(g => g.gameId === game.gameId) || game);
+  }
+  const results = await Promise.all(multiGames.map(game => Promise.all([
+    fetchBoxScore(game.gameId),
+    fetchPlayByPlay(game.gameId)
+  ])));
+  multiGames.forEach((game, index) => {
+    const [boxScore, playByPlay] = results[index] || [];
+    if (boxScore) multiData.set(game.gameId, { boxScore, playByPlay });
+  });
+  if (multiView && !detailView) {
+    renderMultiView();
+    screen.render();
+  }
+}
+
+function showMultiView() {
+  multiView = true;
+  multiFocus = Math.min(multiFocus, multiGames.length - 1);
+
+  menuBar.hide();
+  header.hide();
+  gameList.hide();
+  footer.hide();
+
+  layoutMultiTiles(multiGames.length);
+  multiFooter.show();
+  updateMultiFocus();
+  refreshMultiView();
+}
+
+function hideMultiView() {
+  multiView = false;
+  multiData = new Map();
+  multiTiles.forEach(tile => tile.hide());
+  multiFooter.hide();
+  showListView();
+  renderScoresView();
+}
+
 function showListView() {
   detailView = null;
 
@@ -1620,13 +5979,28 @@ function showListView() {
   detailHeader.hide();
   gameFlowBox.hide();
   boxScoreBox.hide();
+  playByPlayBox.hide();
+  shotChartBox.hide();
+  lineupsBox.hide();
+  availabilityBox.hide();
+  pbpPlayerInput.hide();
+  playerPanel.hide();
+  playerPanelVisible = false;
   detailFooter.hide();
+  detailData = null;
+
+  // Details opened from the split screen go back to it
+  if (multiView) {
+    showMultiView();
+    return;
+  }
 
   // Show main views
   menuBar.show();
   header.show();
   footer.show();
 
+  playoffsContent.hide();
   if (mainView === 'scores') {
     gameList.show();
     standingsContent.hide();
@@ -1639,6 +6013,13 @@ function showListView() {
     transactionsLeftPanel.hide();
     transactionsRightPanel.hide();
     standingsContent.focus();
+  } else if (mainView === 'playoffs') {
+    gameList.hide();
+    standingsContent.hide();
+    playoffsContent.show();
+    transactionsLeftPanel.hide();
+    transactionsRightPanel.hide();
+    playoffsContent.focus();
   } else {
     gameList.hide();
     standingsContent.hide();
@@ -1651,6 +6032,7 @@ function showListView() {
 }
 
 function renderCurrentView() {
+  playoffsContent.hide();
   if (mainView === 'scores') {
     gameList.show();
     standingsContent.hide();
@@ -1665,6 +6047,14 @@ function renderCurrentView() {
     transactionsRightPanel.hide();
     renderStandingsView();
     standingsContent.focus();
+  } else if (mainView === 'playoffs') {
+    gameList.hide();
+    standingsContent.hide();
+    playoffsContent.show();
+    transactionsLeftPanel.hide();
+    transactionsRightPanel.hide();
+    renderPlayoffsView();
+    playoffsContent.focus();
   } else {
     gameList.hide();
     standingsContent.hide();
@@ -1685,58 +6075,145 @@ function updateFooter() {
   });
   const updateIndicator = updateAvailable ? ' | {yellow-fg}[U] Update available{/yellow-fg}' : '';
   if (mainView === 'scores') {
-    footer.setContent(`{center}{green-fg}●{/green-fg} ${now} | jk/↑↓ navigate | SPACE details | 1-3 views${updateIndicator} | q quit{/center}`);
+    footer.setContent(`{center}{green-fg}●{/green-fg} ${now} | jk/↑↓ navigate | SPACE details | m/v split screen | [ ] day | g date | t today | f favorites | a alerts | 1-4 views${updateIndicator} | q quit{/center}`);
   } else if (mainView === 'tradeNews') {
-    footer.setContent(`{center}{green-fg}●{/green-fg} ${now} | Tab panels | Enter subscribe${updateIndicator} | q quit{/center}`);
+    footer.setContent(`{center}{green-fg}●{/green-fg} ${now} | Tab panels | Enter subscribe | w window | n/p trade | Enter expand | m mark seen | T team | y type | / search | c clear | [ ] season | t current | f favorites | a alerts${updateIndicator} | q quit{/center}`);
+  } else if (mainView === 'playoffs') {
+    footer.setContent(`{center}{green-fg}●{/green-fg} ${now} | jk/↑↓ scroll | [ ] season | t current | f favorites | a alerts | 1-4 views${updateIndicator} | q quit{/center}`);
   } else {
-    footer.setContent(`{center}{green-fg}●{/green-fg} ${now} | jk/↑↓ scroll | 1-3 views${updateIndicator} | q quit{/center}`);
+    footer.setContent(`{center}{green-fg}●{/green-fg} ${now} | jk/↑↓ scroll | v layout | c columns | [ ] season | t current | f favorites | a alerts | 1-4 views${updateIndicator} | q quit{/center}`);
   }
   screen.render();
 }
 
 async function refreshScores() {
-  scoresData = await fetchScores();
-  if (!detailView && mainView === 'scores') {
+  const requestedDate = scoresDate;
+  const data = await fetchScores(requestedDate);
+
+  // Alerts always follow the live scoreboard, even while browsing another date
+  checkGameAlerts(requestedDate ? await fetchScores() : data);
+
+  // Drop results for a date the user has already navigated away from
+  if (requestedDate !== scoresDate) return;
+  scoresData = data;
+  if (!detailView && !multiView && mainView === 'scores') {
     renderScoresView();
   } else if (detailView && scoresData) {
     // Update detail view header with latest score
     const game = scoresData.scoreboard.games.find(g => g.gameId === detailView);
     if (game) {
-      const row = buildGameRow(game);
-      const cleanScoreCol = stripTags(row.scoreCol);
-      const cleanStatus = stripTags(row.status);
-      detailHeader.setContent(`{center}{white-fg}${cleanScoreCol}  |  ${cleanStatus}{/white-fg}{/center}`);
+      renderDetailHeader(game);
 
       // Update detail view data
       const [boxScore, playByPlay] = await Promise.all([
         fetchBoxScore(detailView),
-        fetchPlayByPlay(detailView)
+        fetchPlayByPlay(detailView),
+        fetchInjuries()
       ]);
-      if (boxScore) {
-        renderGameFlow(boxScore, playByPlay);
+      if (detailView === game.gameId && !boxScore) {
+        renderAvailability(game);
+      }
+      if (boxScore && detailView === game.gameId) {
+        detailData = { game, boxScore, playByPlay };
+        renderDetailHeader(game);
+        renderGameFlow(boxScore, playByPlay, game);
         renderBoxScore(boxScore);
+        renderPlayByPlay();
+        renderShotChart();
+        renderLineups();
+        renderAvailability(game);
+        if (playerPanelVisible) {
+          const row = boxScoreRows.find(r => r.player.personId === boxScoreSelected);
+          if (row) renderPlayerPanel(row.player, row.team);
+        }
       }
       screen.render();
     }
+  } else if (multiView) {
+    await refreshMultiView();
   }
 }
 
+async function changeSeason(year) {
+  const current = currentSeasonYear || guessSeasonYear();
+  selectedSeason = year && year < current ? year : null;
+  standingsData = null;
+  resetTradeNews();
+  standingsContent.scrollTo(0);
+  transactionsLeftPanel.scrollTo(0);
+  renderCurrentView();
+  screen.render();
+
+  await Promise.all([refreshStandings(), refreshTradeNews()]);
+}
+
+async function changeScoresDate(date) {
+  scoresDate = date && date !== liveScoreboardDate ? date : null;
+  header.setContent(`{center}NBA Scores - ${currentScoresDateKey()}{/center}`);
+  gameList.setItems(['Loading NBA data...']);
+  screen.render();
+
+  await refreshScores();
+  gameList.select(2); // Start at first game row
+  screen.render();
+}
+
 async function refreshStandings() {
-  standingsData = await fetchStandings();
-  if (!detailView && mainView === 'standings') {
+  const season = selectedSeason;
+  // The schedule feed only covers the current season
+  const [data, schedule] = await Promise.all([fetchStandings(season), season ? null : fetchSchedule()]);
+
+  // Drop results for a season the user has already switched away from
+  if (season !== selectedSeason) return;
+  standingsData = data;
+  standingsGames = getCompletedGames(schedule);
+  postseasonGames = getPostseasonGames(schedule);
+  if (!season) {
+    currentSeasonYear = getPayloadSeasonYear(data) || currentSeasonYear;
+  }
+
+  // History snapshots only track the current season
+  const teams = season ? [] : getStandingsTeams(data);
+  if (teams.length > 0) {
+    const seeds = ['East', 'West'].flatMap(conference => (
+      rankConference(conference, teams, standingsGames).seeds.map((team, i) => ({ ...team, seed: i + 1 }))
+    ));
+    recordStandingsSnapshot(seeds);
+  }
+  if (!detailView && !multiView && mainView === 'standings') {
     renderStandingsView();
+  } else if (!detailView && !multiView && mainView === 'playoffs') {
+    renderPlayoffsView();
   }
 }
 
 async function refreshTradeNews() {
-  tradeNewsData = await fetchTradeNews();
+  const season = selectedSeason;
+  const range = getTransactionsRange();
+  const windowKey = getTransactionsWindowKey();
+
+  if (tradeNewsData && transactionsPaging.windowKey === windowKey) {
+    await fetchNewTransactions(range);
+  } else {
+    const data = await fetchTradeNews(range);
+    // Drop results for a season or window the user has already switched away from
+    if (season !== selectedSeason || windowKey !== getTransactionsWindowKey()) return;
+    tradeNewsData = data && { ...data, transactions: data.transactions || [] };
+    transactionsPaging = { windowKey, before: range.end, page: 1, loading: false, done: isLastTransactionsPage(data, 1) };
+  }
+  const data = tradeNewsData;
+  if (!season) {
+    currentSeasonYear = getPayloadSeasonYear(data) || currentSeasonYear;
+  }
 
-  // Check for subscribed player transactions
-  if (tradeNewsData?.transactions) {
-    checkSubscribedPlayerTransactions(tradeNewsData.transactions);
+  // Watch-list alerts follow today's moves whatever the panel shows: a past season or a custom
+  // window that has ended doesn't get new rows, so they come from the last few days instead
+  const alertTransactions = !season && range.end >= todayDateKey() ? tradeNewsData?.transactions : await fetchAlertTransactions();
+  if (alertTransactions) {
+    checkSubscribedPlayerTransactions(alertTransactions);
   }
 
-  if (!detailView && mainView === 'tradeNews') {
+  if (!detailView && !multiView && mainView === 'tradeNews') {
     renderTradeNewsView();
     renderSubscriptionPanel();
   }
@@ -1744,6 +6221,9 @@ async function refreshTradeNews() {
 
 async function main() {
   loadSubscriptions();
+  loadNotificationHistory();
+  loadPreferences();
+  loadStandingsHistory();
   updateMenu();
   gameList.setItems(['Loading NBA data...']);
   screen.render();
@@ -1765,4 +6245,23 @@ async function main() {
   gameList.select(2); // Start at first game row
 }
 
-main();
+if (require.main === module) {
+  main();
+} else {
+  // Pure helpers, exported for the tests
+  module.exports = {
+    estimateWinProbability,
+    getGameWinProbability,
+    getCompletedGames,
+    rankConference,
+    normalizePlayerName,
+    mentionsPlayerName,
+    getTransactionAthleteIds,
+    transactionMentionsPlayer,
+    transactionInvolvesTeam,
+    parseTransaction,
+    formatTransactionRow,
+    linkTrades,
+    getTradeSides
+  };
+}
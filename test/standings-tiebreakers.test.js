@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getCompletedGames, rankConference } = require('../index.js');
+const fixture = require('./fixtures/standings-ties.json');
+
+const games = getCompletedGames(fixture.schedule);
+const seedsOf = (conference) => rankConference(conference, fixture.teams, games).seeds.map(t => t.teamAbbr);
+const noteFor = (conference, team) => rankConference(conference, fixture.teams, games).notes
+  .find(note => note.teams.some(entry => entry.split(' = ').includes(team)));
+
+test('only completed regular-season games count', () => {
+  assert.strictEqual(games.length, 11);
+  assert.ok(games.every(g => !(g.home === 'BOS' && g.homeScore === 120)));
+});
+
+test('East seeds follow records, with ties broken', () => {
+  assert.deepStrictEqual(seedsOf('East'), ['NYK', 'BOS', 'CLE', 'MIA', 'CHI', 'MIL', 'IND', 'DET', 'ORL']);
+});
+
+test('two-team tie: head-to-head decides', () => {
+  assert.strictEqual(noteFor('East', 'NYK').criterion, 'Head-to-head');
+  assert.match(noteFor('East', 'NYK').detail, /NYK 2-1, BOS 1-2/);
+});
+
+test('two-team tie: split head-to-head falls through to division leader', () => {
+  const note = noteFor('East', 'MIA');
+  assert.strictEqual(note.criterion, 'Division leader');
+  assert.deepStrictEqual(note.teams, ['MIA', 'CHI']);
+});
+
+test('three-team tie: combined head-to-head record orders the group', () => {
+  const note = noteFor('East', 'MIL');
+  assert.strictEqual(note.criterion, 'Head-to-head');
+  assert.deepStrictEqual(note.teams, ['MIL', 'IND', 'DET']);
+  assert.match(note.detail, /MIL 3-1, IND 2-2, DET 1-3/);
+});
+
+test('a tie that survives every step is settled by drawing lots', () => {
+  assert.deepStrictEqual(seedsOf('West'), ['DEN', 'PHX']);
+  assert.strictEqual(noteFor('West', 'DEN').criterion, 'Drawing of lots');
+});
+
+test('ranking is deterministic', () => {
+  assert.deepStrictEqual(rankConference('East', fixture.teams, games), rankConference('East', fixture.teams, games));
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseTransaction, linkTrades, getTradeSides } = require('../index.js');
+const fixtures = require('./fixtures/trades.json');
+
+const parseAll = txs => txs.map(parseTransaction);
+const names = assets => assets.players.map(player => player.name);
+const sidesOf = trade => Object.fromEntries(getTradeSides(trade).map(side => [side.teamAbbr, side]));
+
+test('one "from" clause: partner, received and sent', () => {
+  const row = parseTransaction(fixtures.twoTeam[0]);
+  assert.deepStrictEqual(row.partners, ['Charlotte Hornets']);
+  assert.deepStrictEqual(names(row.received), ['Terry Rozier']);
+  assert.deepStrictEqual(names(row.sent), ['Kyle Lowry']);
+  assert.deepStrictEqual(row.sent.picks.map(pick => pick.year), [2027]);
+});
+
+test('multi-partner descriptions split into one leg per team', () => {
+  const row = parseTransaction(fixtures.threeTeam[0]);
+  assert.deepStrictEqual(row.partners, ['Dallas Mavericks', 'Utah Jazz']);
+  assert.deepStrictEqual(row.legs.map(leg => [leg.partner, names(leg.assets)]), [
+    ['Dallas Mavericks', ['Luka Doncic']],
+    ['Utah Jazz', ['Maxi Kleber']]
+  ]);
+  assert.deepStrictEqual(names(row.received), ['Luka Doncic', 'Maxi Kleber']);
+  assert.deepStrictEqual(names(row.sent), []);
+});
+
+test('two-team trade: both rows form one card', () => {
+  const trades = linkTrades(parseAll(fixtures.twoTeam));
+  assert.strictEqual(trades.length, 1);
+  assert.strictEqual(trades[0].key, '2024-12-15:CHA-MIA');
+  const sides = sidesOf(trades[0]);
+  assert.deepStrictEqual(names(sides.MIA.received), ['Terry Rozier']);
+  assert.deepStrictEqual(names(sides.CHA.received), ['Kyle Lowry']);
+});
+
+test('three-team trade: blank sides are filled from the partners\' legs', () => {
+  const trades = linkTrades(parseAll(fixtures.threeTeam));
+  assert.strictEqual(trades.length, 1);
+  assert.strictEqual(trades[0].key, '2025-02-02:DAL-LAL-UTA');
+  const sides = sidesOf(trades[0]);
+  assert.deepStrictEqual(names(sides.LAL.sent), ['Anthony Davis', 'Jalen Hood-Schifino']);
+  assert.deepStrictEqual(names(sides.DAL.sent), ['Luka Doncic']);
+  assert.deepStrictEqual(names(sides.UTA.sent), ['Maxi Kleber']);
+  assert.strictEqual(sides.UTA.received.picks.length, 1);
+  assert.strictEqual(sides.DAL.received.picks.length, 1);
+});
+
+test('deadline day: deals sharing a team stay separate cards', () => {
+  const trades = linkTrades(parseAll(fixtures.deadlineDay));
+  assert.deepStrictEqual(trades.map(trade => trade.key).sort(), ['2024-02-08:BKN-LAL', '2024-02-08:DAL-LAL-UTA']);
+  for (const trade of trades) {
+    const teams = trade.rows.map(row => row.teamAbbr);
+    assert.strictEqual(new Set(teams).size, teams.length);
+  }
+
+  const lakersNets = trades.find(trade => trade.key === '2024-02-08:BKN-LAL');
+  assert.deepStrictEqual(names(sidesOf(lakersNets).LAL.sent), ["D'Angelo Russell"]);
+  const lukaTrade = trades.find(trade => trade.key === '2024-02-08:DAL-LAL-UTA');
+  assert.deepStrictEqual(names(sidesOf(lukaTrade).LAL.sent), ['Anthony Davis', 'Jalen Hood-Schifino']);
+});
+
+test('rows that only share a date are not linked', () => {
+  const trades = linkTrades(parseAll([fixtures.twoTeam[0], { ...fixtures.deadlineDay[1], date: fixtures.twoTeam[0].date }]));
+  assert.strictEqual(trades.length, 2);
+});
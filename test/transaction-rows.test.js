@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseTransaction, formatTransactionRow } = require('../index.js');
+const fixtures = require('./fixtures/signings.json');
+
+test('contract kinds: two-way, 10-day, rest of season, none', () => {
+  assert.strictEqual(parseTransaction(fixtures.twoWay).contract, 'twoWay');
+  assert.strictEqual(parseTransaction(fixtures.tenDay).contract, 'tenDay');
+  assert.strictEqual(parseTransaction(fixtures.restOfSeason).contract, 'restOfSeason');
+  assert.strictEqual(parseTransaction(fixtures.standard).contract, null);
+  assert.strictEqual(parseTransaction(fixtures.waiver).contract, null);
+});
+
+test('signing and waiver rows parse their players with positions', () => {
+  assert.deepStrictEqual(parseTransaction(fixtures.standard).players, [{ position: 'F', name: 'Kelly Oubre Jr.' }]);
+  assert.deepStrictEqual(parseTransaction(fixtures.waiver).players, [
+    { position: 'F-C', name: 'Mason Plumlee' },
+    { position: 'G', name: 'Damion Lee' }
+  ]);
+});
+
+test('rows show the contract kind and mark the players', () => {
+  assert.strictEqual(formatTransactionRow(parseTransaction(fixtures.tenDay)),
+    '{inverse} 10-day {/inverse} Signed {underline}F Jay Huff{/underline} to a 10-day contract.');
+  assert.strictEqual(formatTransactionRow(parseTransaction(fixtures.waiver)),
+    'Waived {underline}F-C Mason Plumlee{/underline} and {underline}G Damion Lee{/underline}.');
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  normalizePlayerName,
+  mentionsPlayerName,
+  getTransactionAthleteIds,
+  transactionMentionsPlayer,
+  transactionInvolvesTeam
+} = require('../index.js');
+const { players, transactions } = require('./fixtures/watchlist-transactions.json');
+
+const match = (txId, playerId, subscriptions = [players[playerId]]) =>
+  transactionMentionsPlayer(transactions[txId], players[playerId], subscriptions);
+
+test('names compare without accents or case', () => {
+  assert.strictEqual(normalizePlayerName('Nikola Jokić'), 'nikola jokic');
+  assert.strictEqual(normalizePlayerName('De’Aaron Fox'), "de'aaron fox");
+});
+
+test('Jr./Sr. suffixes make a different player', () => {
+  assert.strictEqual(match('bronnySigned', 'lebron'), null);
+  assert.strictEqual(match('bronnySigned', 'bronny'), 'name');
+  assert.strictEqual(match('lebronSigned', 'lebron'), 'name');
+  assert.strictEqual(match('bronnyOption', 'lebron'), null);
+  assert.strictEqual(mentionsPlayerName(transactions.garyTrentSr.description, 'Gary Trent'), false);
+});
+
+test('whole names only: no partial or shortName hits', () => {
+  assert.strictEqual(match('larryJames', 'lebron'), null);
+  assert.strictEqual(match('shortNameOnly', 'lebron'), null);
+  assert.strictEqual(mentionsPlayerName('Waived F LeBron Jameson.', 'LeBron James'), false);
+});
+
+test('accents on either side still match', () => {
+  assert.strictEqual(match('jokicAccented', 'jokic'), 'name');
+  assert.strictEqual(match('doncicPlain', 'doncic'), 'name');
+});
+
+test('athlete IDs in the payload decide on their own', () => {
+  assert.deepStrictEqual(getTransactionAthleteIds(transactions.idMatch), ['1966']);
+  assert.deepStrictEqual(getTransactionAthleteIds(transactions.idLink), ['3112335']);
+  assert.deepStrictEqual(getTransactionAthleteIds(transactions.lebronSigned), []);
+  assert.strictEqual(match('idMatch', 'lebron'), 'id');
+  assert.strictEqual(match('idLink', 'jokic'), 'id');
+  // The name matches but the ID says it's someone else
+  assert.strictEqual(match('idMismatch', 'lebron'), null);
+});
+
+test('without IDs or namesakes, a move to a team not on file still matches', () => {
+  assert.strictEqual(match('jalenWaivedByDenver', 'jalenOkc'), 'name');
+  assert.strictEqual(match('lebronSignsWithCavs', 'lebron'), 'name');
+});
+
+test('namesakes: the team on file posts the move or is named in it', () => {
+  const both = [players.jalenOkc, players.jalenDen];
+  // Traded away: the old team is named in the description
+  assert.strictEqual(match('jalenTradedFromOkc', 'jalenOkc', both), 'name');
+  assert.strictEqual(match('jalenTradedFromOkc', 'jalenDen', both), 'ambiguous');
+});
+
+test('namesakes on different teams: only one is confirmed', () => {
+  const both = [players.jalenOkc, players.jalenDen];
+  assert.strictEqual(match('jalenWaivedByDenver', 'jalenDen', both), 'name');
+  assert.strictEqual(match('jalenWaivedByDenver', 'jalenOkc', both), 'ambiguous');
+});
+
+test('subscriptions without a team are ambiguous only next to a namesake', () => {
+  const namesake = { id: '101', name: 'Tyus Jones' };
+  assert.strictEqual(match('tyusSigned', 'legacyJones'), 'name');
+  assert.strictEqual(match('tyusSigned', 'legacyJones', [players.legacyJones, namesake]), 'ambiguous');
+});
+
+test('team subscriptions match any spelling of the team name', () => {
+  const clippers = { type: 'team', id: 'team:LAC', teamAbbr: 'LAC', name: 'LA Clippers' };
+  assert.strictEqual(transactionInvolvesTeam(transactions.acquiredFromClippers, clippers), true);
+  assert.strictEqual(transactionInvolvesTeam(transactions.clippersOwnRow, clippers), true);
+  assert.strictEqual(transactionInvolvesTeam(transactions.lebronSigned, clippers), false);
+});
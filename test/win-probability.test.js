@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { estimateWinProbability, getGameWinProbability } = require('../index.js');
+const scoreboard = require('./fixtures/scoreboard.json');
+
+const game = (gameId) => scoreboard.scoreboard.games.find(g => g.gameId === gameId);
+
+test('even records tip off with only the home-court edge', () => {
+  const p = getGameWinProbability(game('0022500501'));
+  assert.ok(p > 0.5 && p < 0.65, `got ${p}`);
+});
+
+test('a much better road team is favored before tip-off', () => {
+  assert.ok(getGameWinProbability(game('0022500502')) < 0.25);
+});
+
+test('a 10-point lead with two minutes left is nearly decided', () => {
+  assert.ok(getGameWinProbability(game('0022500503')) > 0.97);
+});
+
+test('an early basket barely moves the needle', () => {
+  const p = getGameWinProbability(game('0022500504'));
+  assert.ok(p > 0.45 && p < 0.6, `got ${p}`);
+});
+
+test('tied with no time left is a coin flip', () => {
+  assert.strictEqual(getGameWinProbability(game('0022500505')), 0.5);
+});
+
+test('final games have no win probability', () => {
+  assert.strictEqual(getGameWinProbability(game('0022500506')), null);
+});
+
+test('the same inputs always give the same probability', () => {
+  assert.strictEqual(estimateWinProbability(4, 600, 1), estimateWinProbability(4, 600, 1));
+});
+
+test('a bigger lead or less time left never lowers the leader\'s chances', () => {
+  assert.ok(estimateWinProbability(8, 600) > estimateWinProbability(4, 600));
+  assert.ok(estimateWinProbability(4, 120) > estimateWinProbability(4, 600));
+  assert.ok(estimateWinProbability(-4, 120) < estimateWinProbability(-4, 600));
+});
+
+test('expired clock settles the game by the margin', () => {
+  assert.strictEqual(estimateWinProbability(1, 0), 1);
+  assert.strictEqual(estimateWinProbability(-1, 0), 0);
+});